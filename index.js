@@ -1,10 +1,38 @@
 const express = require("express");
 const http = require("http");
-const { Server } = require("socket.io");
 const cors = require("cors");
 const rateLimit = require("express-rate-limit");
 const helmet = require("helmet");
 const { setupTextChatServer } = require("./server/textChat/textChatServer");
+const { setupVideoChatServer } = require("./server/videoChat/videoChatServer");
+const { createFirebaseTokenVerifier } = require("./server/auth/firebaseAuth");
+const { createStateStore } = require("./server/store/stateStore");
+const { createRecordStore } = require("./server/store/recordStore");
+const ModerationStore = require("./server/moderation/ModerationStore");
+const AuditLog = require("./server/moderation/AuditLog");
+const FriendStore = require("./server/friends/FriendStore");
+const SocketRateLimiter = require("./server/rateLimit/SocketRateLimiter");
+const { setupFriends } = require("./server/friends/friends");
+const {
+  createWebhookDispatcher,
+  setupWebhooks,
+} = require("./server/webhooks/webhooks");
+const { createAdminRouter } = require("./server/admin/adminRoutes");
+const { createHistoryStore } = require("./server/history/historyStore");
+const { createHistoryRouter } = require("./server/history/historyRoutes");
+const { createIceServerProvider } = require("./server/iceServers/iceServers");
+const {
+  createIceServerRouter,
+} = require("./server/iceServers/iceServerRoutes");
+const { createMetrics } = require("./server/metrics/metrics");
+const { createMetricsRouter } = require("./server/metrics/metricsRoutes");
+const {
+  logger,
+  createRequestLoggerMiddleware,
+} = require("./server/logging/logger");
+const {
+  createGracefulShutdown,
+} = require("./server/lifecycle/gracefulShutdown");
 
 // Environment variables with defaults
 const PORT = process.env.PORT || 3001;
@@ -16,12 +44,13 @@ const RATE_LIMIT_WINDOW =
   parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000;
 const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX) || 100;
 
-// Initialize Twilio client with your credentials
-
 // Initialize Express app and HTTP server
 const app = express();
 const server = http.createServer(app);
 
+// Request ids and access logs; probes are only logged at debug level
+app.use(createRequestLoggerMiddleware({ quietPaths: ["/health", "/metrics"] }));
+
 // Security middleware configuration
 app.use(
   helmet({
@@ -47,427 +76,187 @@ app.use(
     standardHeaders: true,
     legacyHeaders: false,
     trustProxy: false,
+    // Prometheus scrapes on a fixed interval
+    skip: (req) => req.path === "/metrics",
   })
 );
 
-// Connection Manager Class
-class ConnectionManager {
-  constructor() {
-    this.users = new Map();
-    this.partnerships = new Map();
-    this.waitingQueue = [];
-    this.roomCounter = 0;
-    this.rooms = new Map();
-    this.connectionTimeouts = new Map();
-    this.maxConnectionAttempts = 3;
-    this.connectionTimeout = 60000; // Increased to 60 seconds for better reliability
-    this.queueLock = false; // Lock for thread-safe dequeuing
-  }
-
-  addUser(socketId) {
-    if (!this.users.has(socketId)) {
-      this.users.set(socketId, {
-        inCall: false,
-        room: null,
-        connectedAt: new Date().toISOString(),
-        lastActive: new Date().toISOString(),
-        connectionAttempts: 0,
-      });
-      return true;
-    }
-    return false;
-  }
-
-  removeUser(socketId) {
-    const user = this.users.get(socketId);
-    if (user && user.room) {
-      this.breakPartnership(socketId);
-    }
-    this.users.delete(socketId);
-    this.removeFromWaitingQueue(socketId);
-  }
-
-  addToWaitingQueue(socketId) {
-    if (!this.waitingQueue.includes(socketId)) {
-      this.waitingQueue.push(socketId);
-      return true;
-    }
-    return false;
-  }
-
-  removeFromWaitingQueue(socketId) {
-    const index = this.waitingQueue.indexOf(socketId);
-    if (index > -1) {
-      this.waitingQueue.splice(index, 1);
-      return true;
-    }
-    return false;
-  }
+// Both namespaces only accept sockets carrying a valid Firebase ID token
+const verifyToken = createFirebaseTokenVerifier();
 
-  getNextWaitingUser() {
-    // Use a lock to prevent race conditions
-    if (this.queueLock) return null;
-    this.queueLock = true;
+// Admin actions, optionally appended to AUDIT_LOG_FILE
+const auditLog = new AuditLog({ file: process.env.AUDIT_LOG_FILE || null });
 
-    let nextUser = null;
-    if (this.waitingQueue.length > 0) {
-      nextUser = this.waitingQueue.shift();
-    }
+// Queue and room state, in memory or shared between instances
+const stateStore = createStateStore();
 
-    this.queueLock = false;
-    return nextUser;
-  }
+// Blocks, reports and friendships, kept across restarts
+const recordStore = createRecordStore(stateStore);
 
-  createPartnership(socket1Id, socket2Id) {
-    try {
-      const roomId = `room_${++this.roomCounter}`;
-
-      // Set up partnerships
-      this.partnerships.set(socket1Id, socket2Id);
-      this.partnerships.set(socket2Id, socket1Id);
-
-      // Create room
-      this.rooms.set(roomId, {
-        participants: [socket1Id, socket2Id],
-        createdAt: new Date().toISOString(),
-        lastActivity: new Date().toISOString(),
-        messages: [],
-        connected: false,
-      });
-
-      // Update user states
-      const user1 = this.users.get(socket1Id);
-      const user2 = this.users.get(socket2Id);
-
-      if (user1 && user2) {
-        user1.inCall = true;
-        user2.inCall = true;
-        user1.room = roomId;
-        user2.room = roomId;
-      }
+// Blocks and reports from the record store plus bans from the state store,
+// shared by both servers
+const moderationStore = new ModerationStore({
+  store: stateStore,
+  records: recordStore,
+});
 
-      // Add retry logic for connection timeouts
-      const timeoutId = setTimeout(() => {
-        if (this.rooms.has(roomId)) {
-          const room = this.rooms.get(roomId);
-          if (!room.connected) {
-            console.log(
-              `[${new Date().toISOString()}] Partnership timeout for room ${roomId}`
-            );
-            this.breakPartnership(socket1Id);
-          }
-        }
-      }, this.connectionTimeout);
-
-      this.connectionTimeouts.set(roomId, timeoutId);
-      return roomId;
-    } catch (error) {
-      console.error(
-        `[${new Date().toISOString()}] Error creating partnership:`,
-        error
-      );
-      return null;
-    }
-  }
+// Friendships made after a match
+const friendStore = new FriendStore({ store: recordStore });
 
-  breakPartnership(socketId) {
-    try {
-      const partnerId = this.partnerships.get(socketId);
-      if (partnerId) {
-        const user = this.users.get(socketId);
-        const partnerUser = this.users.get(partnerId);
-
-        if (user && user.room) {
-          const timeoutId = this.connectionTimeouts.get(user.room);
-          if (timeoutId) {
-            clearTimeout(timeoutId);
-            this.connectionTimeouts.delete(user.room);
-          }
-          this.rooms.delete(user.room);
-        }
-
-        // Clean up user states
-        [user, partnerUser].forEach((u) => {
-          if (u) {
-            u.inCall = false;
-            u.room = null;
-            u.connectionAttempts = 0;
-          }
-        });
-
-        // Remove partnerships
-        this.partnerships.delete(socketId);
-        this.partnerships.delete(partnerId);
-        return partnerId;
-      }
-      return null;
-    } catch (error) {
-      console.error(
-        `[${new Date().toISOString()}] Error breaking partnership:`,
-        error
-      );
-      return null;
-    }
-  }
+// Socket event limits shared by both servers, so a flooding user is banned
+// from both and every one of their sockets is disconnected
+const rateLimiter = new SocketRateLimiter({ store: stateStore });
 
-  validatePeers(fromPeerId, toPeerId) {
-    try {
-      for (const [roomId, room] of this.rooms) {
-        if (room.participants.includes(fromPeerId)) {
-          if (room.participants.includes(toPeerId)) {
-            return { roomId, participants: room.participants };
-          }
-        }
-      }
-      return null;
-    } catch (error) {
-      console.error(
-        `[${new Date().toISOString()}] Error validating peers:`,
-        error
-      );
-      return null;
-    }
-  }
+// Conversations both users chose to keep, or null when history is disabled
+const historyStore = createHistoryStore();
 
-  getRoomByParticipant(socketId) {
-    for (const [roomId, room] of this.rooms.entries()) {
-      if (room.participants.includes(socketId)) {
-        return roomId;
-      }
-    }
-    return null;
-  }
+// STUN/TURN servers handed to video clients
+const iceServerProvider = createIceServerProvider();
 
-  addMessageToRoom(roomId, message) {
-    const room = this.rooms.get(roomId);
-    if (room) {
-      if (!room.messages) {
-        room.messages = [];
-      }
-      room.messages.push(message);
-      room.lastActivity = new Date().toISOString();
-      return true;
-    }
-    return false;
-  }
+// Prometheus metrics for both servers
+const metrics = createMetrics();
 
-  getConnectionStats() {
-    return {
-      totalUsers: this.users.size,
-      waitingUsers: this.waitingQueue.length,
-      activePartnerships: this.partnerships.size / 2,
-    };
-  }
-}
+// Signed event webhooks for analytics and moderation tools, or null when
+// WEBHOOK_URLS is unset
+const webhookDispatcher = createWebhookDispatcher();
 
-// Initialize video Socket.IO
-const io = new Server(server, {
-  cors: corsOptions,
-  transports: ["websocket"],
-  pingTimeout: 60000,
-  pingInterval: 25000,
-  path: "/video-chat",
-  connectTimeout: 60000,
-  maxHttpBufferSize: 1e6,
+// Setup video chat server
+const videoChat = setupVideoChatServer(server, {
+  corsOptions,
+  verifyToken,
+  stateStore,
+  moderationStore,
+  historyStore,
+  rateLimiter,
+  iceServerProvider,
+  metrics,
 });
+const io = videoChat.io;
 
-// Initialize connection manager
-const connectionManager = new ConnectionManager();
-
-// Socket connection handling
-io.on("connection", (socket) => {
-  console.log(`[${new Date().toISOString()}] New connection: ${socket.id}`);
-
-  connectionManager.addUser(socket.id);
-  io.emit("stats-update", connectionManager.getConnectionStats());
-
-  // Handle find match requests
-  socket.on("find-match", () => {
-    console.log(
-      `[${new Date().toISOString()}] Find match request from: ${socket.id}`
-    );
-
-    const waitingPartnerId = connectionManager.getNextWaitingUser();
-
-    if (waitingPartnerId) {
-      const roomId = connectionManager.createPartnership(
-        socket.id,
-        waitingPartnerId
-      );
-
-      if (!roomId) {
-        socket.emit("error", { message: "Failed to create partnership" });
-        return;
-      }
+// Setup text chat server
+const textChat = setupTextChatServer(server, {
+  verifyToken,
+  stateStore,
+  moderationStore,
+  historyStore,
+  rateLimiter,
+  metrics,
+});
 
-      const matchData = {
-        timestamp: new Date().toISOString(),
-        roomId,
-        matchId: `${socket.id.slice(0, 4)}-${waitingPartnerId.slice(0, 4)}`,
-      };
-
-      socket.emit("match", {
-        ...matchData,
-        peerId: waitingPartnerId,
-        isInitiator: true,
-      });
-
-      io.to(waitingPartnerId).emit("match", {
-        ...matchData,
-        peerId: socket.id,
-        isInitiator: false,
-      });
-
-      console.log(
-        `[${new Date().toISOString()}] Match created: ${
-          socket.id
-        } with ${waitingPartnerId}`
-      );
-    } else {
-      connectionManager.addToWaitingQueue(socket.id);
-      socket.emit("waiting");
-    }
+// Friend requests, presence and call-friend on both servers
+setupFriends({
+  namespaces: { video: videoChat, text: textChat },
+  friendStore,
+});
 
-    io.emit("stats-update", connectionManager.getConnectionStats());
+// Match, call and moderation events for webhook receivers
+if (webhookDispatcher) {
+  setupWebhooks({
+    dispatcher: webhookDispatcher,
+    namespaces: { video: videoChat, text: textChat },
+    moderationStore,
   });
+}
 
-  // Handle WebRTC signaling
-  socket.on("offer", ({ peerId, offer }) => {
-    const room = connectionManager.validatePeers(socket.id, peerId);
-    if (!room) {
-      socket.emit("error", { message: "Invalid peer relationship for offer" });
-      return;
-    }
+// Drains both servers on SIGTERM/SIGINT before exiting
+const gracefulShutdown = createGracefulShutdown({
+  server,
+  namespaces: { video: videoChat, text: textChat },
+  stateStore,
+  webhookDispatcher,
+});
 
-    io.to(peerId).emit("offer", {
-      offer,
-      fromPeerId: socket.id,
-      roomId: room.roomId,
+// Health check endpoint. Reports not ready while draining so load balancers
+// stop sending new clients.
+app.get("/health", async (req, res) => {
+  if (gracefulShutdown.isDraining()) {
+    res.status(503).json({
+      status: "draining",
       timestamp: new Date().toISOString(),
     });
-  });
-
-  socket.on("answer", ({ peerId, answer }) => {
-    const room = connectionManager.validatePeers(socket.id, peerId);
-    if (!room) {
-      socket.emit("error", { message: "Invalid peer relationship for answer" });
-      return;
-    }
+    return;
+  }
 
-    io.to(peerId).emit("answer", {
-      answer,
-      fromPeerId: socket.id,
-      roomId: room.roomId,
+  try {
+    res.status(200).json({
+      status: "healthy",
       timestamp: new Date().toISOString(),
+      stats: await videoChat.core.getStats(),
+      textStats: await textChat.core.getStats(),
+      environment: NODE_ENV,
     });
-  });
-
-  socket.on("ice-candidate", ({ peerId, candidate }) => {
-    const room = connectionManager.validatePeers(socket.id, peerId);
-    if (!room) {
-      socket.emit("error", {
-        message: "Invalid peer relationship for ICE candidate",
-      });
-      return;
-    }
-
-    io.to(peerId).emit("ice-candidate", {
-      candidate,
-      fromPeerId: socket.id,
-      roomId: room.roomId,
+  } catch (error) {
+    req.log.error("Health check failed", { error });
+    res.status(503).json({
+      status: "unhealthy",
       timestamp: new Date().toISOString(),
     });
-  });
-
-  // Handle chat messages
-  socket.on("chat-message", (message) => {
-    const roomId = connectionManager.getRoomByParticipant(socket.id);
-    if (roomId) {
-      const room = connectionManager.rooms.get(roomId);
-      if (room) {
-        const recipient = room.participants.find((id) => id !== socket.id);
-        if (recipient) {
-          connectionManager.addMessageToRoom(roomId, {
-            ...message,
-            timestamp: new Date().toISOString(),
-            fromId: socket.id,
-          });
-
-          io.to(recipient).emit("chat-message", {
-            ...message,
-            timestamp: new Date().toISOString(),
-            fromId: socket.id,
-          });
-        }
-      }
-    }
-  });
+  }
+});
 
-  // Handle disconnection
-  socket.on("disconnect", () => {
-    console.log(`[${new Date().toISOString()}] Disconnection: ${socket.id}`);
+// Moderation queue and live session controls for admins
+app.use(
+  "/admin",
+  createAdminRouter({
+    verifyToken,
+    moderationStore,
+    auditLog,
+    namespaces: { video: videoChat, text: textChat },
+    webhookDispatcher,
+  })
+);
 
-    const partnerId = connectionManager.breakPartnership(socket.id);
-    if (partnerId) {
-      io.to(partnerId).emit("partner-left", {
-        reason: "Partner disconnected",
-        timestamp: new Date().toISOString(),
-      });
-    }
+// Saved conversations and transcripts for the signed-in user
+app.use("/history", createHistoryRouter({ historyStore, verifyToken }));
 
-    connectionManager.removeUser(socket.id);
-    io.emit("stats-update", connectionManager.getConnectionStats());
-  });
-});
+// Short-lived TURN credentials, also sent with each video match
+app.use(
+  "/ice-servers",
+  createIceServerRouter({ iceServerProvider, verifyToken })
+);
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.status(200).json({
-    status: "healthy",
-    timestamp: new Date().toISOString(),
-    stats: connectionManager.getConnectionStats(),
-    environment: NODE_ENV,
-  });
-});
+app.use("/metrics", createMetricsRouter({ metrics }));
 
 // Error handling for WebSocket upgrades
 server.on("upgrade", (request, socket, head) => {
   socket.on("error", (err) => {
-    console.error(`[${new Date().toISOString()}] Socket upgrade error:`, err);
+    logger.warn("Socket upgrade error", { error: err });
   });
 });
 
-// Handle connection errors
-io.engine.on("connection_error", (err) => {
-  console.error(`[${new Date().toISOString()}] Connection error:`, err);
-});
-
-// Setup text chat server
-const textChatIo = setupTextChatServer(server);
-
 // Start server
 server.listen(PORT, () => {
-  console.log(`
-🚀 Server Status rnning:
-- Environment: ${NODE_ENV}
-- Port: ${PORT}
-- WebSocket: Ready ok 
-- Cors Origin: ${CORS_ORIGIN}
-  `);
+  logger.info("Server running", {
+    environment: NODE_ENV,
+    port: PORT,
+    corsOrigin: CORS_ORIGIN,
+  });
+});
+
+// A second signal skips the drain
+["SIGTERM", "SIGINT"].forEach((signal) => {
+  process.on(signal, () => {
+    if (gracefulShutdown.isDraining()) {
+      logger.warn("Exiting without finishing the drain", { signal });
+      process.exit(1);
+    }
+    gracefulShutdown.shutdown(signal).then(
+      () => process.exit(0),
+      (error) => {
+        logger.error("Shutdown failed", { error });
+        process.exit(1);
+      }
+    );
+  });
 });
 
 // Global error handlers
 process.on("uncaughtException", (error) => {
-  console.error(`[${new Date().toISOString()}] Uncaught Exception:`, error);
+  logger.error("Uncaught exception", { error });
 });
 
-process.on("unhandledRejection", (reason, promise) => {
-  console.error(
-    `[${new Date().toISOString()}] Unhandleed Rejection at:`,
-    promise,
-    "reason:",
-    reason
-  );
+process.on("unhandledRejection", (reason) => {
+  logger.error("Unhandled rejection", { error: reason });
 });
 
 module.exports = { app, server, io };
@@ -0,0 +1,364 @@
+const crypto = require("crypto");
+const express = require("express");
+const { createAdminAuthMiddleware } = require("../auth/firebaseAuth");
+const { createModerationRouter } = require("../moderation/moderationRoutes");
+const { createWebhookRouter } = require("../webhooks/webhookRoutes");
+
+const ANNOUNCEMENT_LEVELS = ["info", "warning", "critical"];
+
+// Admin API, mounted under /admin. `namespaces` maps "video" and "text" to
+// the { io, core } returned by each chat server. Sockets are looked up
+// through the Socket.IO adapter, so actions reach users on every instance.
+// Every change is written to the audit log. Webhook routes are only mounted
+// when webhooks are configured.
+function createAdminRouter({
+  verifyToken,
+  moderationStore,
+  auditLog,
+  namespaces,
+  webhookDispatcher = null,
+}) {
+  const router = express.Router();
+
+  router.use(express.json({ limit: "10kb" }));
+  router.use(createAdminAuthMiddleware(verifyToken));
+  router.use(createModerationRouter({ moderationStore, auditLog }));
+  if (webhookDispatcher) {
+    router.use(
+      "/webhooks",
+      createWebhookRouter({ webhookDispatcher, auditLog })
+    );
+  }
+
+  const route = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      req.log.error("Admin request failed", { error });
+      res.status(500).json({ error: "INTERNAL", message: "Internal error" });
+    }
+  };
+
+  // ?namespace=video|text (or the same body field) narrows a request
+  const selectNamespaces = (req) => {
+    const name = req.query.namespace || (req.body && req.body.namespace);
+    if (!name) return Object.entries(namespaces);
+    return namespaces[name] ? [[name, namespaces[name]]] : [];
+  };
+
+  const findSockets = async (entries, { socketId, uid }) => {
+    const found = [];
+    for (const [namespace, { io }] of entries) {
+      const sockets = socketId
+        ? await io.in(socketId).fetchSockets()
+        : await io.fetchSockets();
+      sockets
+        .filter((socket) =>
+          socketId ? socket.id === socketId : socket.data.user?.uid === uid
+        )
+        .forEach((socket) => found.push({ namespace, socket }));
+    }
+    return found;
+  };
+
+  const sendTargetError = (res) => {
+    res.status(400).json({
+      error: "TARGET_REQUIRED",
+      message: "Provide a socketId or uid",
+    });
+  };
+
+  // Live state
+
+  router.get(
+    "/users",
+    route(async (req, res) => {
+      const users = [];
+      for (const [namespace, { io, core }] of selectNamespaces(req)) {
+        for (const socket of await io.fetchSockets()) {
+          const local = core.getUser(socket.id);
+          users.push({
+            socketId: socket.id,
+            namespace,
+            uid: socket.data.user?.uid || null,
+            name: socket.data.user?.name || null,
+            email: socket.data.user?.email || null,
+            address: socket.handshake.address,
+            connectedAt: new Date(socket.handshake.issued).toISOString(),
+            roomId: await core.store.getRoomIdBySocket(socket.id),
+            waiting: await core.isWaiting(socket.id),
+            ageBracket: local ? local.ageBracket : null,
+            contentMode: local ? local.contentMode : null,
+            preferences: local ? local.preferences : null,
+          });
+        }
+      }
+      res.status(200).json({ users });
+    })
+  );
+
+  router.get(
+    "/queues",
+    route(async (req, res) => {
+      const queues = {};
+      for (const [namespace, { core }] of selectNamespaces(req)) {
+        const now = Date.now();
+        queues[namespace] = (await core.store.listQueue(core.mode)).map(
+          (entry) => ({ ...entry, waitingMs: now - entry.queuedAt })
+        );
+      }
+      res.status(200).json({ queues });
+    })
+  );
+
+  router.get(
+    "/rooms",
+    route(async (req, res) => {
+      const rooms = [];
+      for (const [namespace, { core }] of selectNamespaces(req)) {
+        (await core.store.listRooms(core.mode)).forEach((room) => {
+          rooms.push({ ...room, namespace });
+        });
+      }
+      res.status(200).json({ rooms });
+    })
+  );
+
+  router.get(
+    "/rooms/:roomId",
+    route(async (req, res) => {
+      for (const [namespace, { core }] of selectNamespaces(req)) {
+        const room = await core.getRoom(req.params.roomId);
+        if (room && room.mode === core.mode) {
+          res.status(200).json({ room: { ...room, namespace } });
+          return;
+        }
+      }
+      res.status(404).json({ error: "NOT_FOUND", message: "Unknown room" });
+    })
+  );
+
+  // Actions
+
+  router.post(
+    "/rooms/:roomId/end",
+    route(async (req, res) => {
+      for (const [namespace, { io, core }] of selectNamespaces(req)) {
+        const room = await core.getRoom(req.params.roomId);
+        if (!room || room.mode !== core.mode) continue;
+
+        const participants = await core.endRoomById(room.id, "ended-by-admin");
+        if (!participants) break;
+
+        participants.forEach((participantId) => {
+          io.to(participantId).emit("partner-left", {
+            reason: "Ended by moderator",
+            timestamp: new Date().toISOString(),
+          });
+        });
+        auditLog.record({
+          adminUid: req.admin.uid,
+          action: "end-room",
+          target: { namespace, roomId: room.id },
+          details: { reason: req.body && req.body.reason },
+        });
+        res.status(200).json({ roomId: room.id, namespace, participants });
+        return;
+      }
+      res.status(404).json({ error: "NOT_FOUND", message: "Unknown room" });
+    })
+  );
+
+  router.post(
+    "/kick",
+    route(async (req, res) => {
+      const { socketId, uid, reason } = req.body || {};
+      if (!socketId && !uid) {
+        sendTargetError(res);
+        return;
+      }
+
+      const found = await findSockets(selectNamespaces(req), {
+        socketId,
+        uid,
+      });
+      if (found.length === 0) {
+        res.status(404).json({ error: "NOT_FOUND", message: "Not connected" });
+        return;
+      }
+
+      found.forEach(({ socket }) => {
+        socket.emit("kicked", {
+          reason: reason || null,
+          timestamp: new Date().toISOString(),
+        });
+        socket.disconnect(true);
+      });
+      const kicked = found.map(({ namespace, socket }) => ({
+        namespace,
+        socketId: socket.id,
+      }));
+      auditLog.record({
+        adminUid: req.admin.uid,
+        action: "kick",
+        target: { socketId, uid },
+        details: { reason, kicked },
+      });
+      res.status(200).json({ kicked });
+    })
+  );
+
+  router.get(
+    "/bans",
+    route(async (req, res) => {
+      res.status(200).json({ bans: await moderationStore.listBans() });
+    })
+  );
+
+  // Bans a uid, or the uid behind a socketId, and disconnects it everywhere
+  router.post(
+    "/bans",
+    route(async (req, res) => {
+      const { socketId, reason } = req.body || {};
+      let { uid } = req.body || {};
+      if (!socketId && !uid) {
+        sendTargetError(res);
+        return;
+      }
+
+      if (!uid) {
+        const [match] = await findSockets(Object.entries(namespaces), {
+          socketId,
+        });
+        uid = match && match.socket.data.user?.uid;
+        if (!uid) {
+          res.status(404).json({
+            error: "NOT_FOUND",
+            message: "Not connected",
+          });
+          return;
+        }
+      }
+
+      const durationMs = parseInt(req.body.durationMs) || null;
+      const ban = await moderationStore.banUser(uid, {
+        durationMs,
+        reason,
+        bannedBy: req.admin.uid,
+      });
+
+      const found = await findSockets(Object.entries(namespaces), { uid });
+      found.forEach(({ socket }) => {
+        socket.emit("banned", {
+          reason: ban.reason,
+          expiresAt: ban.expiresAt,
+          timestamp: new Date().toISOString(),
+        });
+        socket.disconnect(true);
+      });
+
+      auditLog.record({
+        adminUid: req.admin.uid,
+        action: "ban",
+        target: { uid, socketId },
+        details: {
+          reason: ban.reason,
+          expiresAt: ban.expiresAt,
+          disconnected: found.length,
+        },
+      });
+      res.status(201).json({ ban });
+    })
+  );
+
+  router.delete(
+    "/bans/:uid",
+    route(async (req, res) => {
+      if (!(await moderationStore.liftBan(req.params.uid))) {
+        res.status(404).json({ error: "NOT_FOUND", message: "Not banned" });
+        return;
+      }
+      auditLog.record({
+        adminUid: req.admin.uid,
+        action: "lift-ban",
+        target: { uid: req.params.uid },
+      });
+      res.status(204).end();
+    })
+  );
+
+  // Sends a "system-announcement" to one user (socketId or uid) or to
+  // everyone connected
+  router.post(
+    "/announcements",
+    route(async (req, res) => {
+      const { message, socketId, uid } = req.body || {};
+      const level = (req.body && req.body.level) || "info";
+      if (
+        typeof message !== "string" ||
+        !message.trim() ||
+        message.length > 1000
+      ) {
+        res.status(400).json({
+          error: "INVALID_MESSAGE",
+          message: "message must be 1-1000 characters",
+        });
+        return;
+      }
+      if (!ANNOUNCEMENT_LEVELS.includes(level)) {
+        res.status(400).json({
+          error: "INVALID_LEVEL",
+          message: `level must be one of ${ANNOUNCEMENT_LEVELS.join(", ")}`,
+        });
+        return;
+      }
+
+      const announcement = {
+        id: crypto.randomUUID(),
+        message: message.trim(),
+        level,
+        timestamp: new Date().toISOString(),
+      };
+
+      let recipients = "all";
+      if (socketId || uid) {
+        const found = await findSockets(selectNamespaces(req), {
+          socketId,
+          uid,
+        });
+        if (found.length === 0) {
+          res.status(404).json({
+            error: "NOT_FOUND",
+            message: "Not connected",
+          });
+          return;
+        }
+        found.forEach(({ socket }) => {
+          socket.emit("system-announcement", announcement);
+        });
+        recipients = found.length;
+      } else {
+        selectNamespaces(req).forEach(([, { io }]) => {
+          io.emit("system-announcement", announcement);
+        });
+      }
+
+      auditLog.record({
+        adminUid: req.admin.uid,
+        action: "announce",
+        target: socketId || uid ? { socketId, uid } : "all",
+        details: { announcementId: announcement.id, level, recipients },
+      });
+      res.status(200).json({ announcement, recipients });
+    })
+  );
+
+  router.get("/audit", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.status(200).json({ entries: auditLog.list({ limit }) });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,143 @@
+const { initializeApp, getApps } = require("firebase-admin/app");
+const { getAuth } = require("firebase-admin/auth");
+const { logger } = require("../logging/logger");
+const { splitList } = require("../config/env");
+
+// Firebase error codes mapped to the codes clients receive in connect_error
+const AUTH_ERROR_CODES = {
+  "auth/id-token-expired": "AUTH_TOKEN_EXPIRED",
+  "auth/id-token-revoked": "AUTH_TOKEN_REVOKED",
+  "auth/user-disabled": "AUTH_USER_DISABLED",
+  "app/network-error": "AUTH_UNAVAILABLE",
+};
+
+const AUTH_ERROR_MESSAGES = {
+  AUTH_TOKEN_EXPIRED: "Authentication token expired",
+  AUTH_TOKEN_REVOKED: "Authentication token revoked",
+  AUTH_USER_DISABLED: "User account disabled",
+  AUTH_UNAVAILABLE: "Authentication service unavailable",
+  AUTH_INVALID_TOKEN: "Invalid authentication token",
+};
+
+function getFirebaseApp() {
+  if (getApps().length > 0) {
+    return getApps()[0];
+  }
+  // Credentials come from GOOGLE_APPLICATION_CREDENTIALS; when
+  // FIREBASE_AUTH_EMULATOR_HOST is set the Admin SDK talks to the emulator.
+  return initializeApp(
+    process.env.FIREBASE_PROJECT_ID
+      ? { projectId: process.env.FIREBASE_PROJECT_ID }
+      : undefined
+  );
+}
+
+// Returns a function that resolves an ID token to its decoded claims
+function createFirebaseTokenVerifier() {
+  const checkRevoked = process.env.FIREBASE_CHECK_REVOKED === "true";
+  return (idToken) =>
+    getAuth(getFirebaseApp()).verifyIdToken(idToken, checkRevoked);
+}
+
+function createAuthError(message, code) {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+// Socket.IO middleware verifying `handshake.auth.token`. Any function
+// resolving a token to `{ uid, name, picture, email, ageBracket }` can stand
+// in for Firebase, which keeps this usable against a local verifier.
+function createSocketAuthMiddleware(verifyToken) {
+  return async (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token || typeof token !== "string") {
+      next(createAuthError("Authentication required", "AUTH_REQUIRED"));
+      return;
+    }
+
+    try {
+      const decoded = await verifyToken(token);
+      socket.data.user = {
+        uid: decoded.uid,
+        name: decoded.name || null,
+        picture: decoded.picture || null,
+        email: decoded.email || null,
+        // Custom claim set by age verification
+        ageBracket: decoded.ageBracket || null,
+      };
+      next();
+    } catch (error) {
+      const code = AUTH_ERROR_CODES[error.code] || "AUTH_INVALID_TOKEN";
+      logger.info("Rejected socket", { socketId: socket.id, code });
+      next(createAuthError(AUTH_ERROR_MESSAGES[code], code));
+    }
+  };
+}
+
+// Resolves `Authorization: Bearer <token>` to decoded claims, or sends a 401
+// and returns null
+async function authenticateRequest(req, res, verifyToken) {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    res.status(401).json({
+      error: "AUTH_REQUIRED",
+      message: "Authentication required",
+    });
+    return null;
+  }
+
+  try {
+    const decoded = await verifyToken(token);
+    if (req.log) {
+      req.log = req.log.child({ uid: decoded.uid });
+    }
+    return decoded;
+  } catch (error) {
+    const code = AUTH_ERROR_CODES[error.code] || "AUTH_INVALID_TOKEN";
+    res.status(401).json({ error: code, message: AUTH_ERROR_MESSAGES[code] });
+    return null;
+  }
+}
+
+// Express middleware for routes any signed-in user may call
+function createUserAuthMiddleware(verifyToken) {
+  return async (req, res, next) => {
+    const decoded = await authenticateRequest(req, res, verifyToken);
+    if (!decoded) return;
+
+    req.user = {
+      uid: decoded.uid,
+      name: decoded.name || null,
+      email: decoded.email || null,
+    };
+    next();
+  };
+}
+
+// Express middleware for admin routes. Expects `Authorization: Bearer <token>`
+// and accepts users with an `admin` custom claim or a uid listed in ADMIN_UIDS.
+function createAdminAuthMiddleware(verifyToken) {
+  const adminUids = splitList(process.env.ADMIN_UIDS);
+
+  return async (req, res, next) => {
+    const decoded = await authenticateRequest(req, res, verifyToken);
+    if (!decoded) return;
+
+    if (decoded.admin !== true && !adminUids.includes(decoded.uid)) {
+      res.status(403).json({ error: "FORBIDDEN", message: "Admin only" });
+      return;
+    }
+
+    req.admin = { uid: decoded.uid, email: decoded.email || null };
+    next();
+  };
+}
+
+module.exports = {
+  getFirebaseApp,
+  createFirebaseTokenVerifier,
+  createSocketAuthMiddleware,
+  createUserAuthMiddleware,
+  createAdminAuthMiddleware,
+};
@@ -0,0 +1,159 @@
+// Content filters run on validated chat messages. Each filter exposes
+// check(text, senderId), returning null to accept or { code, message } to
+// reject, and may expose forget(senderId) to drop per-sender state.
+
+const { splitList } = require("../config/env");
+
+const DEFAULT_PROFANITY_WORDS = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "cunt",
+  "dick",
+  "fuck",
+  "fucker",
+  "fucking",
+  "motherfucker",
+  "shit",
+  "slut",
+  "whore",
+];
+
+// Common character swaps used to dodge word lists
+const LEET_MAP = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a" };
+
+const URL_PATTERN =
+  /\b(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|me|ly|co|app|dev|xyz|info|ru|tk)\b[^\s]*/gi;
+
+function normalizeForMatching(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[013457@]/g, (char) => LEET_MAP[char]);
+}
+
+function createProfanityFilter(words = DEFAULT_PROFANITY_WORDS) {
+  const blocked = new Set(words.map((word) => word.toLowerCase()));
+  return {
+    check(text) {
+      const tokens = normalizeForMatching(text).split(/[^a-z]+/);
+      if (tokens.some((token) => blocked.has(token))) {
+        return {
+          code: "MESSAGE_PROFANITY",
+          message: "Message contains blocked words",
+        };
+      }
+      return null;
+    },
+  };
+}
+
+function getHostname(url) {
+  return url
+    .replace(/^https?:\/\//i, "")
+    .split(/[/?#:]/)[0]
+    .toLowerCase()
+    .replace(/^www\./, "");
+}
+
+// policy: "allow" lets every link through, "block" rejects all of them and
+// "allowlist" only accepts allowedDomains and their subdomains
+function createLinkFilter({ policy = "block", allowedDomains = [] } = {}) {
+  return {
+    check(text) {
+      if (policy === "allow") return null;
+
+      const links = text.match(URL_PATTERN) || [];
+      const rejected = links.some((link) => {
+        if (policy !== "allowlist") return true;
+        const hostname = getHostname(link);
+        return !allowedDomains.some(
+          (domain) => hostname === domain || hostname.endsWith(`.${domain}`)
+        );
+      });
+
+      if (rejected) {
+        return {
+          code: "MESSAGE_LINK_NOT_ALLOWED",
+          message: "Links are not allowed",
+        };
+      }
+      return null;
+    },
+  };
+}
+
+// Rejects a sender repeating the same text more than maxRepeats times
+// within windowMs
+function createSpamFilter({ maxRepeats = 3, windowMs = 30000 } = {}) {
+  const recent = new Map(); // senderId -> [{ text, sentAt }]
+
+  return {
+    check(text, senderId) {
+      const now = Date.now();
+      const normalized = normalizeForMatching(text).replace(/\s+/g, " ");
+      const history = (recent.get(senderId) || []).filter(
+        (entry) => now - entry.sentAt < windowMs
+      );
+
+      const repeats = history.filter(
+        (entry) => entry.text === normalized
+      ).length;
+      history.push({ text: normalized, sentAt: now });
+      recent.set(senderId, history.slice(-20));
+
+      if (repeats >= maxRepeats) {
+        return {
+          code: "MESSAGE_SPAM",
+          message: "Stop sending the same message",
+        };
+      }
+      return null;
+    },
+
+    forget(senderId) {
+      recent.delete(senderId);
+    },
+  };
+}
+
+// Filters configured from the environment:
+// PROFANITY_WORDS replaces the default word list ("none" disables it),
+// LINK_POLICY / LINK_ALLOWED_DOMAINS set the link policy and
+// SPAM_REPEAT_LIMIT / SPAM_WINDOW_MS tune repeat detection.
+function createDefaultContentFilters() {
+  const filters = [];
+
+  if (process.env.PROFANITY_WORDS !== "none") {
+    filters.push(
+      createProfanityFilter(
+        process.env.PROFANITY_WORDS
+          ? splitList(process.env.PROFANITY_WORDS)
+          : DEFAULT_PROFANITY_WORDS
+      )
+    );
+  }
+
+  filters.push(
+    createLinkFilter({
+      policy: process.env.LINK_POLICY || "block",
+      allowedDomains: splitList(process.env.LINK_ALLOWED_DOMAINS).map(
+        (domain) => domain.toLowerCase()
+      ),
+    }),
+    createSpamFilter({
+      maxRepeats: parseInt(process.env.SPAM_REPEAT_LIMIT) || 3,
+      windowMs: parseInt(process.env.SPAM_WINDOW_MS) || 30000,
+    })
+  );
+
+  return filters;
+}
+
+module.exports = {
+  createProfanityFilter,
+  createLinkFilter,
+  createSpamFilter,
+  createDefaultContentFilters,
+};
@@ -0,0 +1,49 @@
+const MESSAGE_TYPES = ["text"];
+const MAX_CLIENT_ID_LENGTH = 64;
+
+function reject(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+// Checks a client chat-message against the schema and returns a copy with
+// only the known fields: { id, type, text }. `id` is the client's own id.
+function validateChatMessage(payload, { maxLength }) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return reject("MESSAGE_INVALID", "Message must be an object");
+  }
+
+  const type = payload.type === undefined ? "text" : payload.type;
+  if (!MESSAGE_TYPES.includes(type)) {
+    return reject("MESSAGE_UNSUPPORTED_TYPE", "Unsupported message type");
+  }
+
+  if (typeof payload.text !== "string") {
+    return reject("MESSAGE_INVALID", "Message text must be a string");
+  }
+  const text = payload.text.trim();
+  if (!text) {
+    return reject("MESSAGE_EMPTY", "Message is empty");
+  }
+  if (text.length > maxLength) {
+    return reject(
+      "MESSAGE_TOO_LONG",
+      `Message is longer than ${maxLength} characters`
+    );
+  }
+
+  let id = null;
+  if (payload.id !== undefined && payload.id !== null) {
+    const validId =
+      (typeof payload.id === "string" &&
+        payload.id.length <= MAX_CLIENT_ID_LENGTH) ||
+      Number.isFinite(payload.id);
+    if (!validId) {
+      return reject("MESSAGE_INVALID", "Invalid message id");
+    }
+    id = payload.id;
+  }
+
+  return { ok: true, message: { id, type, text } };
+}
+
+module.exports = { MESSAGE_TYPES, validateChatMessage };
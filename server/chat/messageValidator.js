@@ -0,0 +1,31 @@
+const { validateChatMessage } = require("./messageSchema");
+const { createDefaultContentFilters } = require("./contentFilters");
+
+// Schema check followed by the content filters. validate() resolves to
+// { ok: true, message } or { ok: false, error: { code, message } }.
+function createMessageValidator({
+  maxLength = parseInt(process.env.MAX_MESSAGE_LENGTH) || 1000,
+  filters = createDefaultContentFilters(),
+} = {}) {
+  return {
+    validate(senderId, payload) {
+      const result = validateChatMessage(payload, { maxLength });
+      if (!result.ok) return result;
+
+      for (const filter of filters) {
+        const error = filter.check(result.message.text, senderId);
+        if (error) return { ok: false, error };
+      }
+      return result;
+    },
+
+    // Drops per-sender filter state once the sender disconnects
+    forget(senderId) {
+      filters.forEach((filter) => {
+        if (filter.forget) filter.forget(senderId);
+      });
+    },
+  };
+}
+
+module.exports = { createMessageValidator };
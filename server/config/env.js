@@ -0,0 +1,10 @@
+// Reads a comma-separated environment variable into a list, skipping
+// blanks
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = { splitList };
@@ -0,0 +1,80 @@
+// Each user's friend list and incoming friend requests, for both chat
+// servers. `store` is the record store (see createRecordStore), which keeps
+// a friendship until one side removes it. Entries hold the
+// { uid, userName, userPhoto } profile from when the request was sent or
+// accepted, plus sentAt or since.
+class FriendStore {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  async areFriends(uid1, uid2) {
+    if (typeof uid1 !== "string" || typeof uid2 !== "string") return false;
+    return Boolean(await this.store.getFriend(uid1, uid2));
+  }
+
+  // Returns "sent", "already-sent" or "already-friends". A request to
+  // someone who already asked us makes friends at once ("accepted").
+  async addRequest(from, to) {
+    if (await this.areFriends(from.uid, to.uid)) return "already-friends";
+    if (await this.acceptRequest(from, to.uid)) return "accepted";
+
+    const added = await this.store.addFriendRequest(to.uid, {
+      ...from,
+      sentAt: new Date().toISOString(),
+    });
+    return added ? "sent" : "already-sent";
+  }
+
+  // Accepts senderUid's request to `recipient`; returns the new friend's
+  // entry or null when there was no such request
+  async acceptRequest(recipient, senderUid) {
+    const request =
+      typeof senderUid === "string"
+        ? await this.store.takeFriendRequest(recipient.uid, senderUid)
+        : null;
+    if (!request) return null;
+
+    const since = new Date().toISOString();
+    const { sentAt, ...sender } = request;
+    const friend = { ...sender, since };
+    await Promise.all([
+      this.store.setFriend(recipient.uid, friend),
+      this.store.setFriend(senderUid, {
+        uid: recipient.uid,
+        userName: recipient.userName,
+        userPhoto: recipient.userPhoto,
+        since,
+      }),
+    ]);
+    return friend;
+  }
+
+  async declineRequest(uid, senderUid) {
+    if (typeof senderUid !== "string") return false;
+    return Boolean(await this.store.takeFriendRequest(uid, senderUid));
+  }
+
+  async removeFriend(uid, friendUid) {
+    if (typeof friendUid !== "string") return false;
+    const [removed] = await Promise.all([
+      this.store.deleteFriend(uid, friendUid),
+      this.store.deleteFriend(friendUid, uid),
+    ]);
+    return removed;
+  }
+
+  async getFriend(uid, friendUid) {
+    return this.store.getFriend(uid, friendUid);
+  }
+
+  async listFriends(uid) {
+    return this.store.listFriends(uid);
+  }
+
+  async listRequests(uid) {
+    return this.store.listFriendRequests(uid);
+  }
+}
+
+module.exports = FriendStore;
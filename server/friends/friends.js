@@ -0,0 +1,413 @@
+const {
+  handleAsync,
+  acknowledge,
+  getAck,
+  rejectRequest,
+  sendMatch,
+  SERVER_DRAINING,
+  userRoom,
+} = require("../matchmaking/socketHandlers");
+const {
+  ALREADY_IN_ROOM,
+  FRIEND_CALL_ERRORS,
+  SAFETY_ERRORS,
+} = require("../matchmaking/MatchmakingCore");
+const { isSameSegment } = require("../matchmaking/safety");
+const { getSocketLogger } = require("../logging/logger");
+
+const FRIEND_ERRORS = {
+  notFound: { code: "USER_NOT_FOUND", message: "No user to add" },
+  notMet: {
+    code: "FRIEND_REQUEST_NOT_ALLOWED",
+    message: "You can only add people you were matched with",
+  },
+  alreadyFriends: { code: "ALREADY_FRIENDS", message: "Already friends" },
+  noRequest: {
+    code: "FRIEND_REQUEST_NOT_FOUND",
+    message: "No friend request from that user",
+  },
+  notFriends: { code: "NOT_FRIENDS", message: "Not in your friends list" },
+  offline: { code: "FRIEND_OFFLINE", message: "Your friend is offline" },
+  busy: FRIEND_CALL_ERRORS.busy,
+  noCall: FRIEND_CALL_ERRORS["not-found"],
+  mismatch: SAFETY_ERRORS.mismatch,
+  inRoom: ALREADY_IN_ROOM,
+  draining: SERVER_DRAINING,
+};
+
+function toProfile(user) {
+  return {
+    uid: user.uid,
+    userName: user.name || null,
+    userPhoto: user.picture || null,
+  };
+}
+
+// Friends across both chat servers: friend requests between users who
+// shared a room, online/offline presence for friends, and call-friend,
+// which rings an online friend and pairs the two without the queue once
+// they accept. `namespaces` maps
+// transport names to the { io, core, buildMatchPayload, broadcastStats }
+// returned by each chat server.
+function setupFriends({ namespaces, friendStore }) {
+  const servers = Object.values(namespaces);
+
+  // io.to([]) would reach everyone, so skip empty lists
+  const emitToUsers = (uids, event, payload) => {
+    if (uids.length === 0) return;
+    servers.forEach(({ io }) => io.to(uids.map(userRoom)).emit(event, payload));
+  };
+
+  const fetchUserSockets = async (uids) => {
+    if (uids.length === 0) return [];
+    const sockets = await Promise.all(
+      servers.map(({ io }) => io.in(uids.map(userRoom)).fetchSockets())
+    );
+    return sockets.flat();
+  };
+
+  const listFriends = async (uid) => {
+    const friends = await friendStore.listFriends(uid);
+    const online = new Set(
+      (await fetchUserSockets(friends.map((friend) => friend.uid))).map(
+        (socket) => socket.data.user.uid
+      )
+    );
+    return friends.map((friend) => ({
+      ...friend,
+      online: online.has(friend.uid),
+    }));
+  };
+
+  const broadcastPresence = async (uid, online) => {
+    emitToUsers(
+      (await friendStore.listFriends(uid)).map((friend) => friend.uid),
+      "friend-presence",
+      { uid, online, timestamp: new Date().toISOString() }
+    );
+  };
+
+  // Both sides get "friend-added" with the other's entry
+  const announceFriendship = async (uid1, uid2) => {
+    const onlineUids = (await fetchUserSockets([uid1, uid2])).map(
+      (socket) => socket.data.user.uid
+    );
+    const pairs = [
+      [uid1, uid2],
+      [uid2, uid1],
+    ];
+    for (const [uid, friendUid] of pairs) {
+      const friend = await friendStore.getFriend(uid, friendUid);
+      emitToUsers([uid], "friend-added", {
+        friend: { ...friend, online: onlineUids.includes(friendUid) },
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+
+  servers.forEach(({ io, core, buildMatchPayload, broadcastStats }) => {
+    // Tells the caller and the friend's sockets that rang. Not "call-ended",
+    // which the video server sends when a room ends.
+    const notifyCallEnded = (call, reason) => {
+      io.to([call.socketId, ...call.ringingIds]).emit("friend-call-ended", {
+        callId: call.callId,
+        reason,
+        timestamp: new Date().toISOString(),
+      });
+    };
+
+    io.on("connection", (socket) => {
+      const log = getSocketLogger(socket);
+      const profile = toProfile(socket.data.user);
+      const rejectFriendRequest = (ack, error) =>
+        rejectRequest(socket, ack, "friend-error", error);
+
+      // Calls this socket placed that are still ringing, with the timer
+      // giving up on each
+      const ringing = new Map(); // callId -> timeout id
+
+      const endCall = async (callId, reason) => {
+        clearTimeout(ringing.get(callId));
+        ringing.delete(callId);
+        const call = await core.endFriendCall(profile.uid, callId);
+        if (call) {
+          notifyCallEnded(call, reason);
+        }
+        return call;
+      };
+
+      // Online once the user's first socket on either server connects
+      handleAsync(socket, async () => {
+        if ((await fetchUserSockets([profile.uid])).length === 1) {
+          await broadcastPresence(profile.uid, true);
+        }
+        socket.emit("friends-list", {
+          friends: await listFriends(profile.uid),
+          requests: await friendStore.listRequests(profile.uid),
+          timestamp: new Date().toISOString(),
+        });
+      })();
+
+      // The socket already left its rooms, so none left means offline
+      socket.on(
+        "disconnect",
+        handleAsync(socket, async () => {
+          if ((await fetchUserSockets([profile.uid])).length === 0) {
+            await broadcastPresence(profile.uid, false);
+          }
+        })
+      );
+
+      socket.on(
+        "list-friends",
+        handleAsync(socket, async (payload, ack) => {
+          const reply = getAck(payload, ack);
+          acknowledge(reply, {
+            ok: true,
+            friends: await listFriends(profile.uid),
+            requests: await friendStore.listRequests(profile.uid),
+          });
+        })
+      );
+
+      // Addressed by uid, or by peerId for the current or last partner
+      socket.on(
+        "send-friend-request",
+        handleAsync(socket, async ({ uid, peerId } = {}, ack) => {
+          const targetUid =
+            typeof uid === "string"
+              ? uid
+              : (await core.getReportTarget(socket.id, peerId))?.uid;
+          if (
+            !targetUid ||
+            targetUid === profile.uid ||
+            (await core.isBlockedPair(profile.uid, targetUid))
+          ) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.notFound);
+            return;
+          }
+          if (!(await core.haveMet(profile.uid, targetUid))) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.notMet);
+            return;
+          }
+
+          const status = await friendStore.addRequest(profile, {
+            uid: targetUid,
+          });
+          if (status === "already-friends") {
+            rejectFriendRequest(ack, FRIEND_ERRORS.alreadyFriends);
+            return;
+          }
+
+          log.info("Friend request", {
+            event: "send-friend-request",
+            targetUid,
+            status,
+          });
+          if (status === "accepted") {
+            await announceFriendship(profile.uid, targetUid);
+          } else if (status === "sent") {
+            emitToUsers([targetUid], "friend-request", {
+              from: profile,
+              timestamp: new Date().toISOString(),
+            });
+          }
+          acknowledge(ack, {
+            ok: true,
+            status: status === "accepted" ? "accepted" : "pending",
+          });
+        })
+      );
+
+      socket.on(
+        "accept-friend-request",
+        handleAsync(socket, async ({ uid } = {}, ack) => {
+          if (!(await friendStore.acceptRequest(profile, uid))) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.noRequest);
+            return;
+          }
+
+          log.info("Friend request accepted", {
+            event: "accept-friend-request",
+            friendUid: uid,
+          });
+          await announceFriendship(profile.uid, uid);
+          acknowledge(ack, { ok: true });
+        })
+      );
+
+      socket.on(
+        "decline-friend-request",
+        handleAsync(socket, async ({ uid } = {}, ack) => {
+          acknowledge(ack, {
+            ok: true,
+            declined: await friendStore.declineRequest(profile.uid, uid),
+          });
+        })
+      );
+
+      socket.on(
+        "remove-friend",
+        handleAsync(socket, async ({ uid } = {}, ack) => {
+          const removed = await friendStore.removeFriend(profile.uid, uid);
+          if (removed) {
+            emitToUsers([uid], "friend-removed", {
+              uid: profile.uid,
+              timestamp: new Date().toISOString(),
+            });
+          }
+          acknowledge(ack, { ok: true, removed });
+        })
+      );
+
+      // Rings the friend's free sockets on the same server with
+      // "incoming-call". The first to send accept-call is paired with this
+      // socket. Everyone involved gets "friend-call-ended" once the call is
+      // answered, declined, cancelled or left ringing past friendCallTtl.
+      socket.on(
+        "call-friend",
+        handleAsync(socket, async ({ uid } = {}, ack) => {
+          if (core.draining) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.draining);
+            return;
+          }
+          if (
+            !(await friendStore.areFriends(profile.uid, uid)) ||
+            (await core.isBlockedPair(profile.uid, uid))
+          ) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.notFriends);
+            return;
+          }
+          if (await core.getRoomBySocket(socket.id)) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.inRoom);
+            return;
+          }
+
+          const friendSockets = await io.in(userRoom(uid)).fetchSockets();
+          if (friendSockets.length === 0) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.offline);
+            return;
+          }
+
+          // Friends in another age group or content mode cannot be called
+          const candidates = friendSockets.filter((friendSocket) =>
+            isSameSegment(core.getProfile(socket.id), {
+              ageBracket: friendSocket.data.user.ageBracket,
+              contentMode: friendSocket.data.contentMode,
+            })
+          );
+          if (candidates.length === 0) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.mismatch);
+            return;
+          }
+
+          const freeIds = [];
+          for (const candidate of candidates) {
+            if (!(await core.getRoomBySocket(candidate.id))) {
+              freeIds.push(candidate.id);
+            }
+          }
+          if (freeIds.length === 0) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.busy);
+            return;
+          }
+
+          const call = await core.ringFriend(socket.id, uid, freeIds);
+          if (!call) return;
+
+          ringing.set(
+            call.callId,
+            setTimeout(
+              handleAsync(socket, () => endCall(call.callId, "no-answer")),
+              Date.parse(call.expiresAt) - Date.now()
+            )
+          );
+          io.to(freeIds).emit("incoming-call", {
+            callId: call.callId,
+            from: profile,
+            expiresAt: call.expiresAt,
+            timestamp: new Date().toISOString(),
+          });
+          log.info("Friend call ringing", {
+            event: "call-friend",
+            callId: call.callId,
+            friendUid: uid,
+          });
+          acknowledge(ack, {
+            ok: true,
+            callId: call.callId,
+            expiresAt: call.expiresAt,
+          });
+        })
+      );
+
+      socket.on(
+        "accept-call",
+        handleAsync(socket, async ({ callId } = {}, ack) => {
+          if (core.draining) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.draining);
+            return;
+          }
+
+          const { room, call, error } = await core.answerFriendCall(
+            socket.id,
+            callId
+          );
+          if (call) {
+            notifyCallEnded(call, room ? "answered" : "busy");
+          }
+          if (error) {
+            rejectFriendRequest(ack, error);
+            return;
+          }
+
+          await sendMatch({ io, core, room, buildMatchPayload });
+          log.info("Friend call started", {
+            event: "accept-call",
+            callId: call.callId,
+            roomId: room.id,
+            friendUid: call.uid,
+          });
+          acknowledge(ack, { ok: true, roomId: room.id });
+          await broadcastStats();
+        })
+      );
+
+      // The friend turns the call down
+      socket.on(
+        "decline-call",
+        handleAsync(socket, async ({ callId } = {}, ack) => {
+          if (!(await endCall(callId, "declined"))) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.noCall);
+            return;
+          }
+          acknowledge(ack, { ok: true });
+        })
+      );
+
+      // The caller hangs up before the call is answered
+      socket.on(
+        "cancel-call",
+        handleAsync(socket, async ({ callId } = {}, ack) => {
+          if (!(await endCall(callId, "cancelled"))) {
+            rejectFriendRequest(ack, FRIEND_ERRORS.noCall);
+            return;
+          }
+          acknowledge(ack, { ok: true });
+        })
+      );
+
+      // Calls still ringing when the caller leaves are cancelled
+      socket.on(
+        "disconnect",
+        handleAsync(socket, async () => {
+          for (const callId of Array.from(ringing.keys())) {
+            await endCall(callId, "cancelled");
+          }
+        })
+      );
+    });
+  });
+}
+
+module.exports = { setupFriends };
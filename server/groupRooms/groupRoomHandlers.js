@@ -0,0 +1,112 @@
+const {
+  handleAsync,
+  acknowledge,
+  getAck,
+  rejectRequest,
+  SERVER_DRAINING,
+} = require("../matchmaking/socketHandlers");
+
+const NOT_IN_GROUP_ROOM = {
+  code: "NOT_IN_GROUP_ROOM",
+  message: "Not in a group room",
+};
+
+// Named group rooms: create-group-room, join-group-room and
+// leave-group-room. Members hear about each other through the roster events
+// the server sends on the core's "room-members" event.
+// `buildGroupPayload(room, socketId)` shapes "group-room-joined".
+function registerGroupRoomHandlers({
+  socket,
+  core,
+  log,
+  buildGroupPayload,
+  broadcastStats,
+}) {
+  const rejectGroupRequest = (ack, error) =>
+    rejectRequest(socket, ack, "group-room-error", error);
+
+  const sendJoined = async (room, ack) => {
+    const uid = core.getUser(socket.id)?.uid || null;
+    socket.emit("group-room-joined", {
+      ...(await buildGroupPayload(room, socket.id)),
+      resumeToken: await core.issueResumeToken(room.id, socket.id, uid),
+    });
+    acknowledge(ack, { ok: true, roomId: room.id, code: room.code });
+    await broadcastStats();
+  };
+
+  socket.on(
+    "create-group-room",
+    handleAsync(socket, async ({ name, maxParticipants } = {}, ack) => {
+      if (core.draining) {
+        rejectGroupRequest(ack, SERVER_DRAINING);
+        return;
+      }
+
+      const { room, error } = await core.createGroupRoom(socket.id, {
+        name,
+        maxParticipants,
+      });
+      if (error) {
+        rejectGroupRequest(ack, error);
+        return;
+      }
+
+      log.info("Group room created", {
+        event: "create-group-room",
+        roomId: room.id,
+      });
+      await sendJoined(room, ack);
+    })
+  );
+
+  socket.on(
+    "join-group-room",
+    handleAsync(socket, async ({ code } = {}, ack) => {
+      if (core.draining) {
+        rejectGroupRequest(ack, SERVER_DRAINING);
+        return;
+      }
+
+      const { room, error } = await core.joinGroupRoom(socket.id, code);
+      if (error) {
+        rejectGroupRequest(ack, error);
+        return;
+      }
+
+      log.info("Joined group room", {
+        event: "join-group-room",
+        roomId: room.id,
+        members: room.participants.length,
+      });
+      await sendJoined(room, ack);
+    })
+  );
+
+  socket.on(
+    "leave-group-room",
+    handleAsync(socket, async (payload, ack) => {
+      // Usually sent without a payload, so the ack may come first
+      const reply = getAck(payload, ack);
+      const room = await core.getRoomBySocket(socket.id);
+      if (!room || room.kind !== "group") {
+        rejectGroupRequest(reply, NOT_IN_GROUP_ROOM);
+        return;
+      }
+
+      await core.leaveRoom(socket.id, "left");
+      log.info("Left group room", {
+        event: "leave-group-room",
+        roomId: room.id,
+      });
+      socket.emit("group-room-left", {
+        roomId: room.id,
+        timestamp: new Date().toISOString(),
+      });
+      acknowledge(reply, { ok: true });
+      await broadcastStats();
+    })
+  );
+}
+
+module.exports = { registerGroupRoomHandlers };
@@ -0,0 +1,19 @@
+// Full mesh: every member keeps a peer connection to every other member.
+// Whoever joins or resumes sends the offers, so each pair negotiates once
+// and existing members only answer. A media server would be another
+// topology with the same shape, pointing each member at the server instead.
+function createMeshTopology() {
+  return {
+    type: "mesh",
+
+    // What `socketId` should do after entering `room`
+    describe(room, socketId) {
+      return {
+        type: "mesh",
+        offerTo: room.participants.filter((id) => id !== socketId),
+      };
+    },
+  };
+}
+
+module.exports = { createMeshTopology };
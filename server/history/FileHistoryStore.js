@@ -0,0 +1,113 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const CONVERSATION_ID_PATTERN = /^[\w-]+$/;
+
+// Keeps each saved conversation as a JSON file in `dir`. Meant for local
+// development: listing reads every file, and only this process may write.
+class FileHistoryStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.writes = new Map(); // conversationId -> pending write chain
+  }
+
+  filePath(conversationId) {
+    if (!CONVERSATION_ID_PATTERN.test(conversationId)) {
+      throw new Error(`Invalid conversation id: ${conversationId}`);
+    }
+    return path.join(this.dir, `${conversationId}.json`);
+  }
+
+  async read(conversationId) {
+    if (!CONVERSATION_ID_PATTERN.test(conversationId)) return null;
+    try {
+      return JSON.parse(
+        await fs.readFile(this.filePath(conversationId), "utf8")
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Runs read-modify-write updates for one conversation in order
+  update(conversationId, mutate) {
+    const previous = this.writes.get(conversationId) || Promise.resolve();
+    const next = previous.then(async () => {
+      const conversation = await this.read(conversationId);
+      const updated = mutate(conversation);
+      if (!updated) return false;
+
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(
+        this.filePath(conversationId),
+        JSON.stringify(updated, null, 2)
+      );
+      return true;
+    });
+
+    const settled = next.catch(() => {});
+    this.writes.set(conversationId, settled);
+    settled.then(() => {
+      if (this.writes.get(conversationId) === settled) {
+        this.writes.delete(conversationId);
+      }
+    });
+    return next;
+  }
+
+  // Creating an existing conversation keeps the messages already saved
+  async saveConversation(conversation) {
+    return this.update(conversation.id, (existing) =>
+      existing ? null : { ...conversation }
+    );
+  }
+
+  async appendMessage(conversationId, message) {
+    return this.update(conversationId, (conversation) =>
+      conversation
+        ? {
+            ...conversation,
+            messages: [...conversation.messages, message],
+          }
+        : null
+    );
+  }
+
+  async endConversation(conversationId, { endedAt, endReason }) {
+    return this.update(conversationId, (conversation) =>
+      conversation ? { ...conversation, endedAt, endReason } : null
+    );
+  }
+
+  // Newest first, without messages
+  async listConversations(uid, { limit = 50 } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const conversations = [];
+    for (const file of files) {
+      if (!file.endsWith(".json")) continue;
+      const conversation = await this.read(path.basename(file, ".json"));
+      if (conversation && conversation.participantUids.includes(uid)) {
+        const { messages, ...summary } = conversation;
+        conversations.push({ ...summary, messageCount: messages.length });
+      }
+    }
+
+    return conversations
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit);
+  }
+
+  async getConversation(conversationId) {
+    return this.read(conversationId);
+  }
+}
+
+module.exports = FileHistoryStore;
@@ -0,0 +1,74 @@
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { getFirebaseApp } = require("../auth/firebaseAuth");
+
+// Saved conversations in Firestore: one document per conversation with the
+// messages in a `messages` subcollection. Listing a user's conversations
+// needs a composite index on (participantUids array-contains, startedAt desc).
+class FirestoreHistoryStore {
+  constructor({ collection = "conversations" } = {}) {
+    this.collection = getFirestore(getFirebaseApp()).collection(collection);
+  }
+
+  // Creating an existing conversation keeps the messages already saved
+  async saveConversation(conversation) {
+    const { messages, ...fields } = conversation;
+    const ref = this.collection.doc(conversation.id);
+
+    try {
+      await ref.create({ ...fields, messageCount: messages.length });
+    } catch (error) {
+      // ALREADY_EXISTS: the other participant saved it first
+      if (error.code === 6) return false;
+      throw error;
+    }
+
+    const batch = this.collection.firestore.batch();
+    messages.forEach((message) => {
+      batch.set(ref.collection("messages").doc(), message);
+    });
+    await batch.commit();
+    return true;
+  }
+
+  async appendMessage(conversationId, message) {
+    const ref = this.collection.doc(conversationId);
+    const batch = this.collection.firestore.batch();
+    batch.set(ref.collection("messages").doc(), message);
+    batch.update(ref, { messageCount: FieldValue.increment(1) });
+    await batch.commit();
+    return true;
+  }
+
+  async endConversation(conversationId, { endedAt, endReason }) {
+    await this.collection.doc(conversationId).update({ endedAt, endReason });
+    return true;
+  }
+
+  // Newest first, without messages
+  async listConversations(uid, { limit = 50 } = {}) {
+    const snapshot = await this.collection
+      .where("participantUids", "array-contains", uid)
+      .orderBy("startedAt", "desc")
+      .limit(limit)
+      .get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  async getConversation(conversationId) {
+    const ref = this.collection.doc(conversationId);
+    const doc = await ref.get();
+    if (!doc.exists) return null;
+
+    const messages = await ref
+      .collection("messages")
+      .orderBy("timestamp")
+      .get();
+    const { messageCount, ...fields } = doc.data();
+    return {
+      ...fields,
+      messages: messages.docs.map((message) => message.data()),
+    };
+  }
+}
+
+module.exports = FirestoreHistoryStore;
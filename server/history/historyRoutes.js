@@ -0,0 +1,98 @@
+const express = require("express");
+const { createUserAuthMiddleware } = require("../auth/firebaseAuth");
+
+function formatTranscript(conversation) {
+  const names = {};
+  conversation.participants.forEach((participant) => {
+    names[participant.uid] = participant.userName || participant.uid;
+  });
+
+  const lines = [
+    `Conversation ${conversation.id} (${conversation.transport})`,
+    `Participants: ${conversation.participants
+      .map((participant) => names[participant.uid])
+      .join(", ")}`,
+    `Started: ${conversation.startedAt}`,
+    `Ended: ${conversation.endedAt || "-"}`,
+    "",
+    ...conversation.messages.map(
+      (message) =>
+        `[${message.timestamp}] ${names[message.fromUid] || "Unknown"}: ${
+          message.text || ""
+        }`
+    ),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+// A signed-in user's saved conversations, mounted under /history
+function createHistoryRouter({ historyStore, verifyToken }) {
+  const router = express.Router();
+
+  router.use(createUserAuthMiddleware(verifyToken));
+
+  router.use((req, res, next) => {
+    if (!historyStore) {
+      res.status(404).json({
+        error: "HISTORY_DISABLED",
+        message: "Chat history is disabled",
+      });
+      return;
+    }
+    next();
+  });
+
+  router.get("/conversations", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      res.status(200).json({
+        conversations: await historyStore.listConversations(req.user.uid, {
+          limit,
+        }),
+      });
+    } catch (error) {
+      req.log.error("Error listing conversations", { error });
+      res.status(500).json({ error: "INTERNAL", message: "Internal error" });
+    }
+  });
+
+  // ?format=text returns a plain-text transcript instead of JSON
+  router.get("/conversations/:conversationId", async (req, res) => {
+    try {
+      const { conversationId } = req.params;
+      const conversation = /^[\w-]+$/.test(conversationId)
+        ? await historyStore.getConversation(conversationId)
+        : null;
+      if (
+        !conversation ||
+        !conversation.participantUids.includes(req.user.uid)
+      ) {
+        res.status(404).json({
+          error: "NOT_FOUND",
+          message: "Unknown conversation",
+        });
+        return;
+      }
+
+      if (req.query.format === "text") {
+        res
+          .status(200)
+          .type("text/plain")
+          .attachment(`${conversation.id}.txt`)
+          .send(formatTranscript(conversation));
+        return;
+      }
+      res.status(200).json({ conversation });
+    } catch (error) {
+      req.log.error("Error loading conversation", {
+        conversationId: req.params.conversationId,
+        error,
+      });
+      res.status(500).json({ error: "INTERNAL", message: "Internal error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRouter };
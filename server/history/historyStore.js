@@ -0,0 +1,25 @@
+const path = require("path");
+
+// HISTORY_STORE=firestore saves conversations both users chose to keep in
+// Firestore; HISTORY_STORE=file writes them under HISTORY_DIR for local
+// development. Unset disables saving.
+function createHistoryStore() {
+  switch (process.env.HISTORY_STORE) {
+    case "firestore": {
+      const FirestoreHistoryStore = require("./FirestoreHistoryStore");
+      return new FirestoreHistoryStore({
+        collection: process.env.HISTORY_COLLECTION || "conversations",
+      });
+    }
+    case "file": {
+      const FileHistoryStore = require("./FileHistoryStore");
+      return new FileHistoryStore({
+        dir: path.resolve(process.env.HISTORY_DIR || "data/history"),
+      });
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = { createHistoryStore };
@@ -0,0 +1,30 @@
+const express = require("express");
+const { createUserAuthMiddleware } = require("../auth/firebaseAuth");
+
+// STUN/TURN configuration for the signed-in user, mounted under /ice-servers
+function createIceServerRouter({ iceServerProvider, verifyToken }) {
+  const router = express.Router();
+
+  router.use(createUserAuthMiddleware(verifyToken));
+
+  router.get("/", async (req, res) => {
+    try {
+      const { iceServers, ttl } = await iceServerProvider.getIceServers(
+        req.user.uid
+      );
+      // Credentials are per user and short-lived
+      res.set("Cache-Control", "no-store");
+      res.status(200).json({ iceServers, ttl });
+    } catch (error) {
+      req.log.error("Failed to issue ICE servers", { error });
+      res.status(503).json({
+        error: "ICE_SERVERS_UNAVAILABLE",
+        message: "Could not issue ICE server credentials",
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createIceServerRouter };
@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const { splitList } = require("../config/env");
+
+const DEFAULT_STUN_URLS = ["stun:stun.l.google.com:19302"];
+
+// STUN only; no TURN relay
+function createStaticProvider({ stunUrls }) {
+  return {
+    async getIceServers() {
+      return { iceServers: [{ urls: stunUrls }], ttl: null };
+    },
+  };
+}
+
+// coturn REST API scheme (`use-auth-secret`): the username is
+// "<expiry unix time>:<uid>" and the credential is the base64 HMAC-SHA1 of
+// the username keyed with the shared secret, so coturn can check it without
+// calling back into this server.
+function createHmacProvider({ secret, turnUrls, stunUrls, ttlSeconds }) {
+  return {
+    async getIceServers(uid) {
+      const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+      const username = `${expiresAt}:${uid}`;
+      const credential = crypto
+        .createHmac("sha1", secret)
+        .update(username)
+        .digest("base64");
+
+      return {
+        iceServers: [
+          { urls: stunUrls },
+          { urls: turnUrls, username, credential },
+        ],
+        ttl: ttlSeconds,
+      };
+    },
+  };
+}
+
+// Twilio Network Traversal Service. One token is shared by every user and
+// renewed once half of its lifetime has passed.
+function createTwilioProvider({ accountSid, authToken, ttlSeconds }) {
+  const twilio = require("twilio");
+  const client = twilio(accountSid, authToken);
+  let cached = null;
+  let pending = null;
+
+  const fetchToken = async () => {
+    const token = await client.tokens.create({ ttl: ttlSeconds });
+    const ttl = parseInt(token.ttl) || ttlSeconds;
+    return {
+      iceServers: token.iceServers.map(
+        ({ urls, url, username, credential }) => ({
+          urls: urls || url,
+          ...(username ? { username, credential } : {}),
+        })
+      ),
+      ttl,
+      renewAt: Date.now() + (ttl * 1000) / 2,
+    };
+  };
+
+  return {
+    async getIceServers() {
+      if (!cached || Date.now() >= cached.renewAt) {
+        if (!pending) {
+          pending = fetchToken().finally(() => {
+            pending = null;
+          });
+        }
+        cached = await pending;
+      }
+      return { iceServers: cached.iceServers, ttl: cached.ttl };
+    },
+  };
+}
+
+// ICE_SERVER_PROVIDER picks the backend:
+// "hmac" signs coturn credentials with TURN_SECRET for TURN_URLS,
+// "twilio" requests tokens with TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN,
+// anything else hands out STUN_URLS only.
+function createIceServerProvider() {
+  const stunUrls = splitList(process.env.STUN_URLS);
+  const ttlSeconds = parseInt(process.env.TURN_TTL_SECONDS) || 3600;
+  const provider = process.env.ICE_SERVER_PROVIDER || "static";
+
+  if (provider === "hmac") {
+    if (!process.env.TURN_SECRET || !process.env.TURN_URLS) {
+      throw new Error(
+        "ICE_SERVER_PROVIDER=hmac needs TURN_SECRET and TURN_URLS"
+      );
+    }
+    return createHmacProvider({
+      secret: process.env.TURN_SECRET,
+      turnUrls: splitList(process.env.TURN_URLS),
+      stunUrls: stunUrls.length > 0 ? stunUrls : DEFAULT_STUN_URLS,
+      ttlSeconds,
+    });
+  }
+
+  if (provider === "twilio") {
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+      throw new Error(
+        "ICE_SERVER_PROVIDER=twilio needs TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN"
+      );
+    }
+    return createTwilioProvider({
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      ttlSeconds,
+    });
+  }
+
+  return createStaticProvider({
+    stunUrls: stunUrls.length > 0 ? stunUrls : DEFAULT_STUN_URLS,
+  });
+}
+
+module.exports = { createIceServerProvider, DEFAULT_STUN_URLS };
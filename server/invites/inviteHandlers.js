@@ -0,0 +1,90 @@
+const {
+  handleAsync,
+  acknowledge,
+  getAck,
+  rejectRequest,
+  sendMatch,
+  SERVER_DRAINING,
+} = require("../matchmaking/socketHandlers");
+
+// Private invites: create-invite returns a short code the user shares with
+// a friend, who sends it with join-invite to be paired with them directly,
+// skipping the waiting queue. Codes are single-use and expire.
+function registerInviteHandlers({
+  io,
+  socket,
+  core,
+  transport,
+  log,
+  buildMatchPayload,
+  broadcastStats,
+}) {
+  const rejectInviteRequest = (ack, error) =>
+    rejectRequest(socket, ack, "invite-error", error);
+
+  socket.on(
+    "create-invite",
+    handleAsync(socket, async (payload, ack) => {
+      const reply = getAck(payload, ack);
+      if (core.draining) {
+        rejectInviteRequest(reply, SERVER_DRAINING);
+        return;
+      }
+
+      const invite = await core.createInvite(socket.id, {
+        expiresInMs: payload && payload.expiresInMs,
+      });
+      if (!invite) return;
+
+      log.info("Invite created", {
+        event: "create-invite",
+        expiresAt: invite.expiresAt,
+      });
+      socket.emit("invite-created", {
+        ...invite,
+        transport,
+        timestamp: new Date().toISOString(),
+      });
+      acknowledge(reply, { ok: true, ...invite });
+    })
+  );
+
+  socket.on(
+    "cancel-invite",
+    handleAsync(socket, async (payload, ack) => {
+      const reply = getAck(payload, ack);
+      const cancelled = await core.cancelInvite(socket.id);
+      acknowledge(reply, { ok: true, cancelled });
+    })
+  );
+
+  socket.on(
+    "join-invite",
+    handleAsync(socket, async ({ code } = {}, ack) => {
+      if (core.draining) {
+        rejectInviteRequest(ack, SERVER_DRAINING);
+        return;
+      }
+
+      const { room, creatorId, error } = await core.redeemInvite(
+        socket.id,
+        code
+      );
+      if (error) {
+        rejectInviteRequest(ack, error);
+        return;
+      }
+
+      await sendMatch({ io, core, room, buildMatchPayload });
+      log.info("Invite redeemed", {
+        event: "join-invite",
+        roomId: room.id,
+        partnerId: creatorId,
+      });
+      acknowledge(ack, { ok: true, roomId: room.id });
+      await broadcastStats();
+    })
+  );
+}
+
+module.exports = { registerInviteHandlers };
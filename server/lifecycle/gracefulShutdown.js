@@ -0,0 +1,152 @@
+const { logger } = require("../logging/logger");
+
+const DRAIN_POLL_MS = 1000;
+// How long the HTTP server may wait for open requests once sockets are closed
+const HTTP_CLOSE_TIMEOUT_MS = 5000;
+
+// Spreads reconnects over a few seconds so the remaining instances are not
+// hit by every client at once
+function reconnectDelayMs() {
+  return 1000 + Math.floor(Math.random() * 4000);
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Socket.IO middleware refusing new connections once the instance is
+// draining, so clients reconnect to another one
+function createSocketDrainMiddleware(core) {
+  return (socket, next) => {
+    if (!core.draining) {
+      next();
+      return;
+    }
+
+    const error = new Error("Server is restarting");
+    error.data = { code: "SERVER_DRAINING", retryAfterMs: reconnectDelayMs() };
+    next(error);
+  };
+}
+
+// Drains this instance before it exits:
+// 1. both cores stop matching and new sockets are refused,
+// 2. connected clients get "server-draining" and waiting users leave the queue,
+// 3. open rooms run until they end or the deadline passes, then are closed,
+// 4. both Socket.IO servers close, then the HTTP server, then the state store.
+// Webhook requests already sent finish before the state store closes.
+// `namespaces` maps names to the { io, core } returned by each chat server.
+function createGracefulShutdown({
+  server,
+  namespaces,
+  stateStore,
+  webhookDispatcher = null,
+  drainTimeoutMs = parseInt(process.env.DRAIN_TIMEOUT_MS) || 30000,
+}) {
+  let shutdownPromise = null;
+
+  // Only sockets on this instance; the others keep running
+  const localSockets = (io) => Array.from(io.sockets.sockets.values());
+
+  const countLocalRooms = async () => {
+    let count = 0;
+    for (const { io, core } of Object.values(namespaces)) {
+      for (const socket of localSockets(io)) {
+        if (await core.store.getRoomIdBySocket(socket.id)) count++;
+      }
+    }
+    return count;
+  };
+
+  const startDraining = async (deadline) => {
+    for (const { io, core } of Object.values(namespaces)) {
+      core.startDraining(deadline);
+      for (const socket of localSockets(io)) {
+        await core.removeFromWaitingQueue(socket.id);
+        socket.emit("server-draining", {
+          deadline: new Date(deadline).toISOString(),
+          retryAfterMs: reconnectDelayMs(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+  };
+
+  const closeRooms = async () => {
+    let closed = 0;
+    for (const { io, core } of Object.values(namespaces)) {
+      for (const socket of localSockets(io)) {
+        const roomId = await core.store.getRoomIdBySocket(socket.id);
+        const participants =
+          roomId && (await core.endRoomById(roomId, "server-shutdown"));
+        if (!participants || participants.length === 0) continue;
+
+        closed++;
+        io.to(participants).emit("partner-left", {
+          reason: "Server restarting",
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+    return closed;
+  };
+
+  const closeServers = async () => {
+    // Socket.IO closes the HTTP server it is attached to, so listen first
+    const httpClosed = new Promise((resolve) => server.once("close", resolve));
+
+    for (const [name, { io }] of Object.entries(namespaces)) {
+      await io.close();
+      logger.info("Socket.IO server closed", { transport: name });
+    }
+
+    if (server.listening) {
+      server.close();
+    }
+    server.closeIdleConnections();
+    const timeout = setTimeout(
+      () => server.closeAllConnections(),
+      HTTP_CLOSE_TIMEOUT_MS
+    );
+    await httpClosed;
+    clearTimeout(timeout);
+    logger.info("HTTP server closed");
+  };
+
+  const run = async (signal) => {
+    const deadline = Date.now() + drainTimeoutMs;
+    logger.info("Draining", {
+      signal,
+      deadline: new Date(deadline).toISOString(),
+    });
+
+    await startDraining(deadline);
+    while (Date.now() < deadline && (await countLocalRooms()) > 0) {
+      await wait(DRAIN_POLL_MS);
+    }
+
+    const closedRooms = await closeRooms();
+    if (closedRooms > 0) {
+      logger.info("Closed rooms at the drain deadline", { closedRooms });
+    }
+    // Let the last events reach clients before their sockets close
+    await wait(100);
+
+    await closeServers();
+    if (webhookDispatcher) {
+      await webhookDispatcher.close();
+    }
+    await stateStore.close();
+    logger.info("Shutdown complete");
+  };
+
+  return {
+    isDraining: () => shutdownPromise !== null,
+    shutdown(signal) {
+      if (!shutdownPromise) {
+        shutdownPromise = run(signal);
+      }
+      return shutdownPromise;
+    },
+  };
+}
+
+module.exports = { createGracefulShutdown, createSocketDrainMiddleware };
@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields that can carry SDP, ICE candidates or chat content
+const REDACTED_FIELDS = new Set([
+  "offer",
+  "answer",
+  "sdp",
+  "candidate",
+  "text",
+  "messages",
+  "missedMessages",
+]);
+const MAX_DEPTH = 5;
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    stack: error.stack,
+  };
+}
+
+function prepare(value, redact, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (Array.isArray(value)) {
+    return value.map((item) => prepare(item, redact, depth + 1));
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, field]) => {
+    if (field === undefined) return;
+    result[key] =
+      redact && REDACTED_FIELDS.has(key)
+        ? "[redacted]"
+        : prepare(field, redact, depth + 1);
+  });
+  return result;
+}
+
+// JSON lines logger. `bindings` are added to every line, and child() adds
+// more, e.g. the socketId and uid for everything logged about one socket.
+// LOG_LEVEL sets the minimum level (default info). Signaling payloads and
+// message bodies are replaced with "[redacted]" unless LOG_REDACT=false.
+function createLogger({
+  level = process.env.LOG_LEVEL || "info",
+  redact = process.env.LOG_REDACT !== "false",
+  bindings = {},
+} = {}) {
+  const threshold = LOG_LEVELS[level] || LOG_LEVELS.info;
+
+  const write = (lineLevel, msg, fields) => {
+    if (LOG_LEVELS[lineLevel] < threshold) return;
+
+    const line = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...prepare({ ...bindings, ...fields }, redact),
+    };
+    let output;
+    try {
+      output = JSON.stringify(line);
+    } catch (error) {
+      output = JSON.stringify({
+        time: line.time,
+        level: lineLevel,
+        msg,
+        logError: error.message,
+      });
+    }
+    const stream = lineLevel === "error" ? process.stderr : process.stdout;
+    stream.write(output + "\n");
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (childBindings) =>
+      createLogger({
+        level,
+        redact,
+        bindings: { ...bindings, ...childBindings },
+      }),
+  };
+}
+
+const logger = createLogger();
+
+// Loggers bound to a socket's id and uid, kept outside socket.data so they
+// are never sent through the adapter
+const socketLoggers = new WeakMap();
+
+function bindSocketLogger(socket, parent) {
+  const socketLogger = parent.child({
+    socketId: socket.id,
+    uid: socket.data.user?.uid,
+  });
+  socketLoggers.set(socket, socketLogger);
+  return socketLogger;
+}
+
+function getSocketLogger(socket) {
+  return (
+    socketLoggers.get(socket) ||
+    logger.child({ socketId: socket.id, uid: socket.data.user?.uid })
+  );
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Express middleware giving each request an id (a well-formed X-Request-Id
+// from the proxy, or a new one) and a `req.log` bound to it. Auth middleware
+// adds the uid once known. Requests to `quietPaths` are logged at debug level.
+function createRequestLoggerMiddleware({ quietPaths = [] } = {}) {
+  return (req, res, next) => {
+    const header = req.get("x-request-id");
+    const requestId = REQUEST_ID_PATTERN.test(header || "")
+      ? header
+      : crypto.randomUUID();
+    const path = req.originalUrl.split("?")[0];
+    const startedAt = Date.now();
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    res.set("X-Request-Id", requestId);
+
+    res.on("finish", () => {
+      const level = quietPaths.includes(path) ? "debug" : "info";
+      req.log[level]("Request completed", {
+        method: req.method,
+        path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  bindSocketLogger,
+  getSocketLogger,
+  createRequestLoggerMiddleware,
+  LOG_LEVELS,
+};
@@ -0,0 +1,1462 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const MemoryStateStore = require("../store/MemoryStateStore");
+const {
+  normalizePreferences,
+  getSharedInterests,
+  isCompatible,
+  scoreCandidate,
+  getUnmetPreferences,
+  getUnavailablePreferences,
+} = require("./preferences");
+const {
+  DEFAULT_CONTENT_MODE,
+  normalizeAgeBracket,
+  normalizeContentMode,
+  isContentModeAllowed,
+  getQueueSegment,
+  isSameSegment,
+} = require("./safety");
+const { logger } = require("../logging/logger");
+
+// Room lifecycle: matched -> signaling -> connected -> ended/failed
+const ROOM_STATES = {
+  MATCHED: "matched",
+  SIGNALING: "signaling",
+  CONNECTED: "connected",
+  ENDED: "ended",
+  FAILED: "failed",
+};
+
+const ROOM_TRANSITIONS = {
+  [ROOM_STATES.MATCHED]: [
+    ROOM_STATES.SIGNALING,
+    ROOM_STATES.CONNECTED,
+    ROOM_STATES.ENDED,
+    ROOM_STATES.FAILED,
+  ],
+  [ROOM_STATES.SIGNALING]: [
+    ROOM_STATES.CONNECTED,
+    ROOM_STATES.ENDED,
+    ROOM_STATES.FAILED,
+  ],
+  [ROOM_STATES.CONNECTED]: [ROOM_STATES.ENDED, ROOM_STATES.FAILED],
+  [ROOM_STATES.ENDED]: [],
+  [ROOM_STATES.FAILED]: [],
+};
+
+// Per-transport defaults. Video rooms fail when the peers never acknowledge
+// a connection; text matches wait for both sides to confirm.
+const MODES = {
+  video: {
+    roomPrefix: "room",
+    connectionTimeout: 60000,
+  },
+  text: {
+    roomPrefix: "match",
+    connectionTimeout: null,
+  },
+};
+
+// Group room and invite codes avoid look-alike characters; 32 symbols keep
+// the random bytes unbiased
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const GROUP_CODE_LENGTH = 6;
+const INVITE_CODE_LENGTH = 8;
+
+// What each participant tells the others about its media, all false at
+// the start of a room
+const MEDIA_STATE_FIELDS = ["audioMuted", "videoOff", "screenSharing"];
+
+// Wait estimates use the matches made in this window
+const MATCH_RATE_WINDOW_MS = 5 * 60 * 1000;
+const GROUP_NAME_MAX_LENGTH = 60;
+// Friend calls stay stored this long after they stop ringing, so the caller
+// can still end them as unanswered
+const FRIEND_CALL_GRACE_MS = 10 * 1000;
+
+const ALREADY_IN_ROOM = {
+  code: "ALREADY_IN_ROOM",
+  message: "Leave your current room first",
+};
+
+const GROUP_ROOM_ERRORS = {
+  "not-found": {
+    code: "GROUP_ROOM_NOT_FOUND",
+    message: "No room with that code",
+  },
+  full: { code: "GROUP_ROOM_FULL", message: "Room is full" },
+  "in-room": ALREADY_IN_ROOM,
+};
+
+const INVITE_ERRORS = {
+  "not-found": {
+    code: "INVITE_NOT_FOUND",
+    message: "Invite expired or already used",
+  },
+  own: { code: "OWN_INVITE", message: "You cannot join your own invite" },
+  busy: {
+    code: "INVITE_CREATOR_BUSY",
+    message: "Your friend is already in a call",
+  },
+  "in-room": ALREADY_IN_ROOM,
+};
+
+const FRIEND_CALL_ERRORS = {
+  "not-found": {
+    code: "CALL_NOT_FOUND",
+    message: "The call ended or was already answered",
+  },
+  busy: { code: "FRIEND_BUSY", message: "Your friend is already in a call" },
+  "in-room": ALREADY_IN_ROOM,
+};
+
+const SAFETY_ERRORS = {
+  invalidMode: {
+    code: "CONTENT_MODE_INVALID",
+    message: "Unknown content mode",
+  },
+  modeNotAllowed: {
+    code: "CONTENT_MODE_NOT_ALLOWED",
+    message: "Verify your age to use this content mode",
+  },
+  modeLocked: {
+    code: "CONTENT_MODE_LOCKED",
+    message: "Content mode can only change between matches",
+  },
+  mismatch: {
+    code: "SAFETY_MISMATCH",
+    message: "You can only meet users in your age group and content mode",
+  },
+};
+
+// States a room may be in before moving to the given state
+function allowedPreviousStates(nextState) {
+  return Object.keys(ROOM_TRANSITIONS).filter((state) =>
+    ROOM_TRANSITIONS[state].includes(nextState)
+  );
+}
+
+// Matchmaking and rooms for one transport. Sockets connected to this
+// instance live in `users`; the queue and rooms live in the state store so
+// several instances can share them. Holds no sockets: callers react to the
+// "room-created", "room-state" and "room-members" events instead.
+class MatchmakingCore extends EventEmitter {
+  constructor({
+    mode = "video",
+    store = new MemoryStateStore(),
+    moderationStore = null,
+    historyStore = null,
+    ...options
+  } = {}) {
+    super();
+    if (!MODES[mode]) {
+      throw new Error(`Unknown matchmaking mode: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.store = store;
+    this.moderationStore = moderationStore;
+    this.historyStore = historyStore;
+    this.roomPrefix = MODES[mode].roomPrefix;
+    this.connectionTimeout =
+      options.connectionTimeout !== undefined
+        ? options.connectionTimeout
+        : MODES[mode].connectionTimeout;
+    this.skipCooldown =
+      options.skipCooldown ||
+      parseInt(process.env.SKIP_COOLDOWN_MS) ||
+      5 * 60 * 1000;
+    this.matchRelaxAfter =
+      options.matchRelaxAfter ||
+      parseInt(process.env.MATCH_RELAX_AFTER_MS) ||
+      15000;
+    // MATCH_MAX_WAIT_MS=0 lets users wait until they cancel
+    this.maxSearchTime =
+      options.maxSearchTime !== undefined
+        ? options.maxSearchTime
+        : process.env.MATCH_MAX_WAIT_MS !== undefined
+        ? parseInt(process.env.MATCH_MAX_WAIT_MS) || 0
+        : 5 * 60 * 1000;
+    this.reportMessageLimit = options.reportMessageLimit || 50;
+    this.lastPartnerTtl = 60 * 60 * 1000;
+    // RECONNECT_GRACE_MS=0 closes rooms as soon as a socket drops
+    this.reconnectGrace =
+      options.reconnectGrace !== undefined
+        ? options.reconnectGrace
+        : process.env.RECONNECT_GRACE_MS !== undefined
+        ? parseInt(process.env.RECONNECT_GRACE_MS) || 0
+        : 15000;
+    this.resumeTokenTtl = 6 * 60 * 60 * 1000;
+    // Every member of a mesh room uploads to every other, so keep it small
+    this.maxGroupSize =
+      options.maxGroupSize ||
+      parseInt(process.env.GROUP_ROOM_MAX_PARTICIPANTS) ||
+      6;
+    // How long after sharing a room two users may send friend requests
+    this.meetingTtl =
+      options.meetingTtl ||
+      parseInt(process.env.FRIEND_REQUEST_WINDOW_MS) ||
+      24 * 60 * 60 * 1000;
+    // Longest an invite code stays valid; clients may ask for less
+    this.inviteTtl =
+      options.inviteTtl ||
+      parseInt(process.env.INVITE_TTL_MS) ||
+      15 * 60 * 1000;
+    // How long a friend call rings before it is given up
+    this.friendCallTtl =
+      options.friendCallTtl ||
+      parseInt(process.env.FRIEND_CALL_TTL_MS) ||
+      30 * 1000;
+
+    this.users = new Map();
+    this.connectionTimeouts = new Map();
+    // When this instance paired users from the queue, oldest first
+    this.recentMatches = [];
+    // { startedAt, deadline } once this instance starts shutting down
+    this.draining = null;
+  }
+
+  // Stops new matches on this instance; rooms already open keep running
+  startDraining(deadline) {
+    if (!this.draining) {
+      this.draining = { startedAt: Date.now(), deadline };
+    }
+    return this.draining;
+  }
+
+  // Local users
+
+  async addUser(socketId, profile = {}) {
+    if (this.users.has(socketId)) return false;
+
+    this.users.set(socketId, {
+      socketId,
+      uid: profile.uid || null,
+      userName: profile.name || null,
+      userPhoto: profile.picture || null,
+      ageBracket: normalizeAgeBracket(profile.ageBracket),
+      contentMode: DEFAULT_CONTENT_MODE,
+      // Whether the client acks relayed chat messages
+      deliveryAcks: profile.deliveryAcks === true,
+      isMatching: false,
+      preferences: null,
+      searchStartedAt: null,
+      inviteCode: null,
+      connectedAt: new Date().toISOString(),
+      lastActive: new Date().toISOString(),
+    });
+    await this.store.addUser(this.mode, socketId);
+    return true;
+  }
+
+  getUser(socketId) {
+    return this.users.get(socketId) || null;
+  }
+
+  getProfile(socketId) {
+    const user = this.users.get(socketId);
+    if (!user) return null;
+    return {
+      uid: user.uid,
+      userName: user.userName,
+      userPhoto: user.userPhoto,
+      ageBracket: user.ageBracket,
+      contentMode: user.contentMode,
+      preferences: user.preferences,
+      deliveryAcks: user.deliveryAcks,
+    };
+  }
+
+  // Switches socketId between content modes. Only allowed between matches,
+  // since a queue entry, room or open invite was set up for the old mode.
+  // Returns { contentMode } or { error }.
+  async setContentMode(socketId, value) {
+    const user = this.users.get(socketId);
+    const contentMode = normalizeContentMode(value);
+    if (!user || !contentMode) return { error: SAFETY_ERRORS.invalidMode };
+    if (!isContentModeAllowed(user.ageBracket, contentMode)) {
+      return { error: SAFETY_ERRORS.modeNotAllowed };
+    }
+    if (contentMode === user.contentMode) return { contentMode };
+    if (
+      user.inviteCode ||
+      (await this.store.getRoomIdBySocket(socketId)) ||
+      (await this.isWaiting(socketId))
+    ) {
+      return { error: SAFETY_ERRORS.modeLocked };
+    }
+
+    user.contentMode = contentMode;
+    return { contentMode };
+  }
+
+  // keepRoom leaves the room open for the reconnection grace period
+  async removeUser(socketId, { keepRoom = false } = {}) {
+    if (!keepRoom) {
+      await this.leaveRoom(socketId, "partner-disconnected");
+    }
+    await this.cancelInvite(socketId);
+    await this.removeFromWaitingQueue(socketId);
+    await this.store.removeUser(this.mode, socketId);
+    this.users.delete(socketId);
+  }
+
+  // Queue
+
+  async addToWaitingQueue(socketId) {
+    const user = this.users.get(socketId);
+    if (!user) return false;
+
+    const added = await this.store.enqueue(this.mode, {
+      socketId,
+      ...this.getProfile(socketId),
+      searchStartedAt: user.searchStartedAt,
+    });
+    if (added) {
+      user.isMatching = true;
+    }
+    return added;
+  }
+
+  async removeFromWaitingQueue(socketId) {
+    const removed = await this.store.dequeue(this.mode, socketId);
+    const user = this.users.get(socketId);
+    if (user) {
+      user.isMatching = false;
+    }
+    return removed;
+  }
+
+  // Puts a claimed entry back when its room could not be created, unless
+  // its socket got into a room some other way (an invite, say) and is not
+  // searching any more
+  async requeue(entry) {
+    if (await this.store.getRoomIdBySocket(entry.socketId)) return false;
+    return this.store.enqueue(this.mode, entry);
+  }
+
+  async isWaiting(socketId) {
+    return this.store.isQueued(this.mode, socketId);
+  }
+
+  async getQueueLength() {
+    return (await this.store.listQueue(this.mode)).length;
+  }
+
+  recordMatch() {
+    const now = Date.now();
+    this.recentMatches.push(now);
+    while (
+      this.recentMatches.length > 0 &&
+      now - this.recentMatches[0] > MATCH_RATE_WINDOW_MS
+    ) {
+      this.recentMatches.shift();
+    }
+  }
+
+  // Each match takes about one user off the queue, so a user at `position`
+  // waits for that many matches. Based on this instance's matches only;
+  // null until there are enough of them.
+  estimateWaitMs(position) {
+    const now = Date.now();
+    const recent = this.recentMatches.filter(
+      (matchedAt) => now - matchedAt <= MATCH_RATE_WINDOW_MS
+    );
+    if (recent.length < 2) return null;
+    const matchesPerMs = recent.length / Math.max(now - recent[0], 1);
+    return Math.round(position / matchesPerMs);
+  }
+
+  // Waiting users socketId could be paired with, in queue order
+  async listSegmentQueue(socketId) {
+    const profile = this.getProfile(socketId);
+    return (await this.store.listQueue(this.mode)).filter((entry) =>
+      isSameSegment(profile, entry)
+    );
+  }
+
+  // Where socketId stands in its segment of the queue, or null when it is
+  // not waiting
+  async getQueueStatus(socketId) {
+    const entries = await this.listSegmentQueue(socketId);
+    const index = entries.findIndex((entry) => entry.socketId === socketId);
+    if (index === -1) return null;
+
+    const user = this.users.get(socketId);
+    return {
+      position: index + 1,
+      queueLength: entries.length,
+      estimatedWaitMs: this.estimateWaitMs(index + 1),
+      waitedMs:
+        user && user.searchStartedAt ? Date.now() - user.searchStartedAt : 0,
+    };
+  }
+
+  // Claims the best waiting partner for socketId and returns its queue
+  // entry. Candidates are tried in rank order; a claim only succeeds for
+  // one caller, so two instances can never take the same user.
+  async getNextWaitingUser(socketId) {
+    const candidates = await this.rankCandidates(socketId);
+    for (const entry of candidates) {
+      if (await this.store.dequeue(this.mode, entry.socketId)) {
+        const waitingUser = this.users.get(entry.socketId);
+        if (waitingUser) {
+          waitingUser.isMatching = false;
+        }
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  // Compatible waiting users in socketId's segment, most shared interests
+  // first and queue order on ties. Relaxing filters never crosses segments.
+  async rankCandidates(socketId) {
+    const user = this.users.get(socketId);
+    const prefs = user ? user.preferences : null;
+    const relaxed = this.hasRelaxedFilters(socketId);
+    const entries = await this.listSegmentQueue(socketId);
+
+    const ranked = [];
+    for (const [index, entry] of entries.entries()) {
+      if (entry.socketId === socketId) continue;
+      if (await this.isSkipCoolingDown(socketId, entry.socketId)) continue;
+      if (await this.isBlockedPair(user && user.uid, entry.uid)) continue;
+      if (
+        !isCompatible(
+          prefs,
+          entry.preferences,
+          relaxed,
+          this.isRelaxed(entry.searchStartedAt)
+        )
+      ) {
+        continue;
+      }
+
+      ranked.push({
+        entry,
+        index,
+        score: scoreCandidate(prefs, entry.preferences),
+      });
+    }
+
+    return ranked
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ entry }) => entry);
+  }
+
+  // Preferences
+
+  setSearchPreferences(socketId, payload) {
+    const user = this.users.get(socketId);
+    if (!user) return null;
+    user.preferences = normalizePreferences(payload);
+    user.searchStartedAt = Date.now();
+    return user.preferences;
+  }
+
+  isRelaxed(searchStartedAt) {
+    if (!searchStartedAt) return false;
+    return Date.now() - searchStartedAt >= this.matchRelaxAfter;
+  }
+
+  hasRelaxedFilters(socketId) {
+    const user = this.users.get(socketId);
+    return Boolean(user) && this.isRelaxed(user.searchStartedAt);
+  }
+
+  // Preferences no other online user can currently satisfy
+  async getUnavailablePreferences(socketId) {
+    const user = this.users.get(socketId);
+    if (!user) return [];
+
+    const others = new Map();
+    this.users.forEach((other, id) => {
+      if (id !== socketId && isSameSegment(user, other)) {
+        others.set(id, other.preferences);
+      }
+    });
+    (await this.listSegmentQueue(socketId)).forEach((entry) => {
+      if (entry.socketId !== socketId) {
+        others.set(entry.socketId, entry.preferences);
+      }
+    });
+    return getUnavailablePreferences(
+      user.preferences,
+      Array.from(others.values())
+    );
+  }
+
+  // What each side of a room has in common and what went unmet
+  getMatchDetails(room) {
+    const [socket1Id, socket2Id] = room.participants;
+    const prefs1 = room.profiles[socket1Id]?.preferences || null;
+    const prefs2 = room.profiles[socket2Id]?.preferences || null;
+    return {
+      sharedInterests: getSharedInterests(prefs1, prefs2),
+      unmetPreferences: {
+        [socket1Id]: getUnmetPreferences(prefs1, prefs2),
+        [socket2Id]: getUnmetPreferences(prefs2, prefs1),
+      },
+    };
+  }
+
+  // Skips and blocks
+
+  pairKey(socket1Id, socket2Id) {
+    return [socket1Id, socket2Id].sort().join("|");
+  }
+
+  // Keep a skipped pair from being matched again for a while
+  async recordSkip(socket1Id, socket2Id) {
+    await this.store.setExpiring(
+      `skip:${this.pairKey(socket1Id, socket2Id)}`,
+      true,
+      this.skipCooldown
+    );
+  }
+
+  async isSkipCoolingDown(socket1Id, socket2Id) {
+    return Boolean(
+      await this.store.getExpiring(`skip:${this.pairKey(socket1Id, socket2Id)}`)
+    );
+  }
+
+  async isBlockedPair(uid1, uid2) {
+    if (!this.moderationStore) return false;
+    return this.moderationStore.isBlocked(uid1, uid2);
+  }
+
+  buildReportTarget(socketId, room, messages, targetId) {
+    const partnerId =
+      targetId || room.participants.find((id) => id !== socketId);
+    return {
+      socketId: partnerId,
+      uid: room.profiles[partnerId]?.uid || null,
+      roomId: room.id,
+      messages: messages.map((message) => ({
+        ...message,
+        fromUid: room.profiles[message.fromId]?.uid || null,
+      })),
+    };
+  }
+
+  // The current partner, or the last one if the room already closed. In a
+  // group room the member must be named by peerId; members who left count.
+  async getReportTarget(socketId, peerId = null) {
+    const room = await this.getRoomBySocket(socketId);
+    if (room) {
+      const targetId =
+        room.kind === "group"
+          ? peerId
+          : room.participants.find((id) => id !== socketId);
+      if (!targetId || targetId === socketId || !room.profiles[targetId]) {
+        return null;
+      }
+      return this.buildReportTarget(
+        socketId,
+        room,
+        await this.store.getMessages(room.id),
+        targetId
+      );
+    }
+    return this.store.getExpiring(`last-partner:${socketId}`);
+  }
+
+  // Rooms
+
+  // Pairs socketId with a claimed queue entry, or with the partner of a
+  // direct pairing (`via` "invite" or "friend"); returns the room or null
+  async createRoom(
+    socketId,
+    partnerEntry,
+    { via = "queue", inviteCode = null } = {}
+  ) {
+    const user = this.users.get(socketId);
+    if (!user || !partnerEntry) return null;
+
+    const partnerId = partnerEntry.socketId;
+    const now = new Date().toISOString();
+    const room = {
+      id: `${this.roomPrefix}_${Date.now()}_${crypto
+        .randomBytes(5)
+        .toString("hex")}`,
+      mode: this.mode,
+      kind: "pair",
+      via,
+      inviteCode,
+      segment: getQueueSegment(user),
+      participants: [socketId, partnerId],
+      profiles: {
+        [socketId]: this.getProfile(socketId),
+        [partnerId]: {
+          uid: partnerEntry.uid,
+          userName: partnerEntry.userName,
+          userPhoto: partnerEntry.userPhoto,
+          ageBracket: normalizeAgeBracket(partnerEntry.ageBracket),
+          contentMode: partnerEntry.contentMode || DEFAULT_CONTENT_MODE,
+          preferences: partnerEntry.preferences,
+          deliveryAcks: partnerEntry.deliveryAcks === true,
+        },
+      },
+      createdAt: now,
+      lastActivity: now,
+      state: ROOM_STATES.MATCHED,
+      connectedAt: null,
+      endedAt: null,
+      endReason: null,
+      historySavedAt: null,
+    };
+
+    if (!(await this.store.createRoom(room))) return null;
+    if (via === "queue") {
+      this.recordMatch();
+    }
+    await this.recordMeeting(user.uid, [partnerEntry.uid]);
+
+    // How long each side searched before this match; directly paired users
+    // never searched
+    this.emit("room-created", {
+      roomId: room.id,
+      via,
+      uids: [user.uid, partnerEntry.uid],
+      waitTimesMs:
+        via !== "queue"
+          ? []
+          : [user.searchStartedAt, partnerEntry.searchStartedAt]
+              .filter(Boolean)
+              .map((searchStartedAt) => Date.now() - searchStartedAt),
+    });
+
+    // Fail the room if the peers never acknowledge a connection
+    if (this.connectionTimeout) {
+      const timeoutId = setTimeout(async () => {
+        this.connectionTimeouts.delete(room.id);
+        const current = await this.store.getRoom(room.id);
+        if (current && current.state !== ROOM_STATES.CONNECTED) {
+          logger.warn("Connection timeout", {
+            transport: this.mode,
+            roomId: room.id,
+          });
+          await this.endRoomById(room.id, "timeout", ROOM_STATES.FAILED);
+        }
+      }, this.connectionTimeout);
+      this.connectionTimeouts.set(room.id, timeoutId);
+    }
+
+    return room;
+  }
+
+  // Pairs two users without the queue, for invites and friend calls. Both
+  // leave the queue first so no random match can claim either side. Users
+  // in different segments are never paired.
+  async pairDirectly(socketId, partnerEntry, options) {
+    if (!isSameSegment(this.getProfile(socketId), partnerEntry)) return null;
+    await this.removeFromWaitingQueue(socketId);
+    await this.removeFromWaitingQueue(partnerEntry.socketId);
+    return this.createRoom(socketId, partnerEntry, options);
+  }
+
+  async getRoom(roomId) {
+    return this.store.getRoom(roomId);
+  }
+
+  async getRoomBySocket(socketId) {
+    const roomId = await this.store.getRoomIdBySocket(socketId);
+    return roomId ? this.store.getRoom(roomId) : null;
+  }
+
+  // The other side of a one-to-one room; group rooms have no single partner
+  async getPartnerId(socketId) {
+    const partner = await this.getPartner(socketId);
+    return partner ? partner.socketId : null;
+  }
+
+  // The other participant of a pair room with the profile it joined with
+  async getPartner(socketId) {
+    const room = await this.getRoomBySocket(socketId);
+    if (!room || room.kind === "group") return null;
+    const partnerId = room.participants.find((id) => id !== socketId);
+    if (!partnerId) return null;
+    return { socketId: partnerId, profile: room.profiles[partnerId] || null };
+  }
+
+  // Everyone else in the socket's room
+  async getPeerIds(socketId) {
+    const room = await this.getRoomBySocket(socketId);
+    if (!room) return [];
+    return room.participants.filter((id) => id !== socketId);
+  }
+
+  // Closes the socket's room and returns the partner's socket id. Only the
+  // first caller to end a room gets the partner back.
+  async endRoom(socketId, reason = "ended", finalState = ROOM_STATES.ENDED) {
+    const room = await this.getRoomBySocket(socketId);
+    if (!room || !(await this.closeRoom(room, reason, finalState))) {
+      return null;
+    }
+    return room.participants.find((id) => id !== socketId) || null;
+  }
+
+  // Moves the room to its final state and tears it down. Returns false when
+  // another caller already closed it.
+  async closeRoom(room, reason, finalState = ROOM_STATES.ENDED) {
+    const messages = await this.store.getMessages(room.id);
+    if (!(await this.transitionRoom(room.id, finalState, reason))) {
+      return false;
+    }
+    this.clearConnectionTimeout(room.id);
+
+    const ended = await this.store.getRoom(room.id);
+    if (ended && ended.historySavedAt) {
+      await this.writeHistory(() =>
+        this.historyStore.endConversation(room.id, {
+          endedAt: ended.endedAt,
+          endReason: reason,
+        })
+      );
+    }
+
+    // Remember who each side just left so they can still block or report.
+    // Group members have no single partner to remember.
+    if (room.kind !== "group") {
+      for (const participantId of room.participants) {
+        await this.store.setExpiring(
+          `last-partner:${participantId}`,
+          this.buildReportTarget(participantId, room, messages),
+          this.lastPartnerTtl
+        );
+      }
+    }
+    await this.store.deleteRoom(room.id);
+    return true;
+  }
+
+  // Closes a room by id, whichever sockets hold it now. Returns the room's
+  // participants, or null when it was already closed.
+  async endRoomById(roomId, reason = "ended", finalState = ROOM_STATES.ENDED) {
+    const room = await this.store.getRoom(roomId);
+    if (!room || !(await this.closeRoom(room, reason, finalState))) {
+      return null;
+    }
+    return room.participants;
+  }
+
+  // Takes socketId out of its room. A group room carries on without it
+  // until the last member leaves; a one-to-one room ends. Returns the
+  // partner's socket id like endRoom, which is always null for groups.
+  async leaveRoom(socketId, reason = "ended") {
+    const room = await this.getRoomBySocket(socketId);
+    if (!room) return null;
+    if (room.kind !== "group") return this.endRoom(socketId, reason);
+
+    const remaining = await this.store.removeParticipant(room.id, socketId);
+    if (!remaining) return null;
+
+    if (remaining.length === 0) {
+      await this.closeRoom({ ...room, participants: [] }, "empty");
+      return null;
+    }
+
+    const current = await this.store.getRoom(room.id);
+    if (current) {
+      this.emit("room-members", {
+        roomId: room.id,
+        participants: current.participants,
+        roster: this.getGroupRoster(current),
+        left: socketId,
+        reason,
+      });
+    }
+    return null;
+  }
+
+  clearConnectionTimeout(roomId) {
+    const timeoutId = this.connectionTimeouts.get(roomId);
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      this.connectionTimeouts.delete(roomId);
+    }
+  }
+
+  // Moves a room to a new lifecycle state and notifies listeners.
+  // Returns false when the transition is not allowed from the current state.
+  async transitionRoom(roomId, nextState, reason = null) {
+    const now = new Date().toISOString();
+    const patch = { state: nextState, lastActivity: now };
+
+    if (nextState === ROOM_STATES.CONNECTED) {
+      patch.connectedAt = now;
+    } else if (
+      nextState === ROOM_STATES.ENDED ||
+      nextState === ROOM_STATES.FAILED
+    ) {
+      patch.endedAt = now;
+      patch.endReason = reason;
+    }
+
+    const previousState = await this.store.updateRoomState(
+      roomId,
+      allowedPreviousStates(nextState),
+      patch
+    );
+    if (!previousState) return false;
+
+    const room = await this.store.getRoom(roomId);
+    this.emit("room-state", {
+      roomId,
+      kind: room ? room.kind : null,
+      participants: room ? [...room.participants] : [],
+      uids: room
+        ? room.participants.map((id) => room.profiles[id]?.uid || null)
+        : [],
+      previousState,
+      state: nextState,
+      reason,
+      createdAt: room ? room.createdAt : null,
+      connectedAt: room ? room.connectedAt : null,
+    });
+    return true;
+  }
+
+  async markSignaling(roomId) {
+    return this.transitionRoom(roomId, ROOM_STATES.SIGNALING);
+  }
+
+  // Records a participant's acknowledgement ("peer-connected" for video,
+  // "confirm-match" for text). The room is connected once everyone has.
+  async acknowledgeConnection(socketId) {
+    const room = await this.getRoomBySocket(socketId);
+    if (!room) return null;
+
+    // Connected once every participant has acknowledged; a group room also
+    // needs at least two members
+    const connectedPeers = await this.store.addConnectedPeer(room.id, socketId);
+    if (
+      room.participants.length > 1 &&
+      room.participants.every((id) => connectedPeers.includes(id))
+    ) {
+      this.clearConnectionTimeout(room.id);
+      await this.transitionRoom(room.id, ROOM_STATES.CONNECTED);
+    }
+
+    return { roomId: room.id };
+  }
+
+  // Any two different members of the same room may signal each other,
+  // which lets group rooms negotiate one connection per pair
+  async validatePeers(fromPeerId, toPeerId) {
+    const room = await this.getRoomBySocket(fromPeerId);
+    if (
+      room &&
+      toPeerId !== fromPeerId &&
+      room.participants.includes(toPeerId)
+    ) {
+      return {
+        roomId: room.id,
+        kind: room.kind || "pair",
+        participants: room.participants,
+      };
+    }
+    return null;
+  }
+
+  // Media state
+
+  // Merges the boolean fields of `patch` into socketId's media state.
+  // Returns { roomId, peerIds, state }, or { error } when the patch has no
+  // known field or socketId is not in a room.
+  async setMediaState(socketId, patch) {
+    const fields =
+      patch && typeof patch === "object"
+        ? MEDIA_STATE_FIELDS.filter(
+            (field) => typeof patch[field] === "boolean"
+          )
+        : [];
+    if (fields.length === 0) {
+      return {
+        error: {
+          code: "MEDIA_STATE_INVALID",
+          message: `Send at least one of ${MEDIA_STATE_FIELDS.join(", ")}`,
+        },
+      };
+    }
+
+    const room = await this.getRoomBySocket(socketId);
+    const current = room ? await this.getMediaStates(room) : {};
+    const state = { ...current[socketId] };
+    fields.forEach((field) => {
+      state[field] = patch[field];
+    });
+    state.updatedAt = new Date().toISOString();
+
+    const stored =
+      room && (await this.store.setMediaState(room.id, socketId, state));
+    if (!stored) {
+      return { error: { code: "NO_ACTIVE_ROOM", message: "Not in a room" } };
+    }
+    return {
+      roomId: room.id,
+      peerIds: room.participants.filter((id) => id !== socketId),
+      state,
+    };
+  }
+
+  // Every participant's media state keyed by socket id, with the defaults
+  // for those who never sent one
+  async getMediaStates(room) {
+    const stored = await this.store.getMediaStates(room.id);
+    const states = {};
+    room.participants.forEach((socketId) => {
+      states[socketId] = stored[socketId] || {
+        ...Object.fromEntries(
+          MEDIA_STATE_FIELDS.map((field) => [field, false])
+        ),
+        updatedAt: null,
+      };
+    });
+    return states;
+  }
+
+  // Stores a message from socketId in its room and returns it
+  async addMessage(socketId, message) {
+    const roomId = await this.store.getRoomIdBySocket(socketId);
+    if (!roomId) return null;
+
+    const stored = {
+      ...message,
+      timestamp: new Date().toISOString(),
+      fromId: socketId,
+    };
+    await this.store.appendMessage(roomId, stored, this.reportMessageLimit);
+
+    // Checked after appending so a message racing the save is never lost
+    if (this.historyStore) {
+      const room = await this.store.getRoom(roomId);
+      if (room && room.historySavedAt) {
+        await this.writeHistory(() =>
+          this.historyStore.appendMessage(
+            roomId,
+            this.toHistoryMessage(room, stored)
+          )
+        );
+      }
+    }
+    return stored;
+  }
+
+  // Reconnection
+
+  // A resume token lets a new socket of the same user take over the seat
+  async issueResumeToken(roomId, socketId, uid) {
+    const token = crypto.randomBytes(24).toString("hex");
+    await this.store.setExpiring(
+      `resume:${token}`,
+      { roomId, socketId, uid },
+      this.resumeTokenTtl
+    );
+    return token;
+  }
+
+  // One resume token per participant, keyed by socket id
+  async issueResumeTokens(room) {
+    const tokens = {};
+    for (const socketId of room.participants) {
+      tokens[socketId] = await this.issueResumeToken(
+        room.id,
+        socketId,
+        room.profiles[socketId]?.uid || null
+      );
+    }
+    return tokens;
+  }
+
+  // Keeps socketId's room open after its socket dropped. Returns the other
+  // members' socket ids, or null when there is nothing to hold.
+  async holdRoom(socketId) {
+    if (!this.reconnectGrace) return null;
+    const room = await this.getRoomBySocket(socketId);
+    const peerIds = room
+      ? room.participants.filter((id) => id !== socketId)
+      : [];
+    if (peerIds.length === 0) return null;
+
+    await this.store.setExpiring(
+      `reconnecting:${socketId}`,
+      { roomId: room.id, disconnectedAt: new Date().toISOString() },
+      this.reconnectGrace * 2
+    );
+    return peerIds;
+  }
+
+  // Moves the seat behind resumeToken to socketId. Returns the room, the
+  // replaced socket id and the partner's messages socketId has not seen:
+  // those after lastMessageId, or since the old socket dropped.
+  async resumeSession(socketId, resumeToken, lastMessageId) {
+    const user = this.users.get(socketId);
+    if (!user || typeof resumeToken !== "string") return null;
+
+    const session = await this.store.getExpiring(`resume:${resumeToken}`);
+    if (!session || session.uid !== user.uid) return null;
+    if (await this.store.getRoomIdBySocket(socketId)) return null;
+    if (!(await this.store.deleteExpiring(`resume:${resumeToken}`))) {
+      return null;
+    }
+
+    const replaced = await this.store.replaceParticipant(
+      session.roomId,
+      session.socketId,
+      socketId
+    );
+    if (!replaced) return null;
+    await this.removeFromWaitingQueue(socketId);
+
+    const room = await this.store.getRoom(session.roomId);
+    if (!room) return null;
+
+    const messages = await this.store.getMessages(room.id);
+    const reconnecting = await this.store.getExpiring(
+      `reconnecting:${session.socketId}`
+    );
+    const lastSeenIndex =
+      lastMessageId !== undefined && lastMessageId !== null
+        ? messages.findIndex((message) => message.id === lastMessageId)
+        : -1;
+    let missedMessages = messages;
+    if (lastSeenIndex >= 0) {
+      missedMessages = messages.slice(lastSeenIndex + 1);
+    } else if (reconnecting) {
+      missedMessages = messages.filter(
+        (message) => message.timestamp >= reconnecting.disconnectedAt
+      );
+    }
+
+    return {
+      room,
+      previousSocketId: session.socketId,
+      partnerId: room.participants.find((id) => id !== socketId) || null,
+      peerIds: room.participants.filter((id) => id !== socketId),
+      resumeToken: await this.issueResumeToken(room.id, socketId, user.uid),
+      missedMessages: missedMessages.filter(
+        (message) => message.fromId !== socketId
+      ),
+    };
+  }
+
+  // Group rooms
+
+  generateCode(length) {
+    return Array.from(
+      crypto.randomBytes(length),
+      (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+    ).join("");
+  }
+
+  getGroupRoster(room) {
+    return room.participants.map((socketId) => ({
+      socketId,
+      uid: room.profiles[socketId]?.uid || null,
+      userName: room.profiles[socketId]?.userName || null,
+      userPhoto: room.profiles[socketId]?.userPhoto || null,
+    }));
+  }
+
+  // Opens a named room that others join by its code, capped at
+  // maxGroupSize. Returns { room } or { error }.
+  async createGroupRoom(socketId, { name, maxParticipants } = {}) {
+    const profile = this.getProfile(socketId);
+    if (!profile) return { error: GROUP_ROOM_ERRORS["not-found"] };
+    if (await this.store.getRoomIdBySocket(socketId)) {
+      return { error: GROUP_ROOM_ERRORS["in-room"] };
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(maxParticipants) || this.maxGroupSize, 2),
+      this.maxGroupSize
+    );
+    const roomName =
+      typeof name === "string" && name.trim()
+        ? name.trim().slice(0, GROUP_NAME_MAX_LENGTH)
+        : null;
+
+    // A taken code only means another attempt
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = this.generateCode(GROUP_CODE_LENGTH);
+      const now = new Date().toISOString();
+      const room = {
+        id: `group_${code}`,
+        mode: this.mode,
+        kind: "group",
+        code,
+        name: roomName,
+        maxParticipants: limit,
+        segment: getQueueSegment(profile),
+        ownerUid: profile.uid,
+        participants: [socketId],
+        profiles: { [socketId]: profile },
+        createdAt: now,
+        lastActivity: now,
+        state: ROOM_STATES.MATCHED,
+        connectedAt: null,
+        endedAt: null,
+        endReason: null,
+        historySavedAt: null,
+      };
+
+      if (await this.store.createRoom(room)) {
+        await this.removeFromWaitingQueue(socketId);
+        return { room };
+      }
+      if (await this.store.getRoomIdBySocket(socketId)) {
+        return { error: GROUP_ROOM_ERRORS["in-room"] };
+      }
+    }
+    throw new Error("Could not allocate a group room code");
+  }
+
+  // Seats socketId in the group room with this code. Returns { room } or
+  // { error }.
+  async joinGroupRoom(socketId, code) {
+    const profile = this.getProfile(socketId);
+    const room =
+      profile && typeof code === "string"
+        ? await this.store.getRoom(`group_${code.trim().toUpperCase()}`)
+        : null;
+    if (!room || room.kind !== "group" || room.mode !== this.mode) {
+      return { error: GROUP_ROOM_ERRORS["not-found"] };
+    }
+    if (room.segment !== getQueueSegment(profile)) {
+      return { error: SAFETY_ERRORS.mismatch };
+    }
+
+    const result = await this.store.addParticipant(
+      room.id,
+      socketId,
+      profile,
+      parseInt(room.maxParticipants) || this.maxGroupSize
+    );
+    if (!result.ok) return { error: GROUP_ROOM_ERRORS[result.reason] };
+    await this.removeFromWaitingQueue(socketId);
+
+    const joined = await this.store.getRoom(room.id);
+    if (!joined) return { error: GROUP_ROOM_ERRORS["not-found"] };
+    await this.recordMeeting(
+      profile.uid,
+      joined.participants
+        .filter((id) => id !== socketId)
+        .map((id) => joined.profiles[id]?.uid)
+    );
+    this.emit("room-members", {
+      roomId: joined.id,
+      participants: joined.participants,
+      roster: this.getGroupRoster(joined),
+      joined: socketId,
+    });
+    return { room: joined };
+  }
+
+  // Invites
+
+  // Issues a single-use code pairing whoever redeems it with socketId,
+  // replacing socketId's previous invite. Returns { code, expiresAt } or
+  // null for an unknown socket.
+  async createInvite(socketId, { expiresInMs } = {}) {
+    const user = this.users.get(socketId);
+    if (!user) return null;
+
+    await this.cancelInvite(socketId);
+    const ttl = Math.min(
+      Math.max(parseInt(expiresInMs) || this.inviteTtl, 60 * 1000),
+      this.inviteTtl
+    );
+    const code = this.generateCode(INVITE_CODE_LENGTH);
+    const expiresAt = new Date(Date.now() + ttl).toISOString();
+    await this.store.setExpiring(
+      `invite:${this.mode}:${code}`,
+      { socketId, ...this.getProfile(socketId), expiresAt },
+      ttl
+    );
+    user.inviteCode = code;
+    return { code, expiresAt };
+  }
+
+  async cancelInvite(socketId) {
+    const user = this.users.get(socketId);
+    if (!user || !user.inviteCode) return false;
+
+    const code = user.inviteCode;
+    user.inviteCode = null;
+    return this.store.deleteExpiring(`invite:${this.mode}:${code}`);
+  }
+
+  // Pairs socketId with the invite's creator, skipping the waiting queue.
+  // Using the code, even unsuccessfully once claimed, ends it. Returns
+  // { room, creatorId } or { error }.
+  async redeemInvite(socketId, code) {
+    const user = this.users.get(socketId);
+    const inviteCode =
+      typeof code === "string" ? code.trim().toUpperCase() : null;
+    const key = `invite:${this.mode}:${inviteCode}`;
+    const invite =
+      user && inviteCode ? await this.store.getExpiring(key) : null;
+    if (!invite || (await this.isBlockedPair(user.uid, invite.uid))) {
+      return { error: INVITE_ERRORS["not-found"] };
+    }
+    if (invite.socketId === socketId || (user.uid && invite.uid === user.uid)) {
+      return { error: INVITE_ERRORS.own };
+    }
+    if (await this.store.getRoomIdBySocket(socketId)) {
+      return { error: INVITE_ERRORS["in-room"] };
+    }
+    // Checked before claiming, so the code still works for someone else
+    if (!isSameSegment(this.getProfile(socketId), invite)) {
+      return { error: SAFETY_ERRORS.mismatch };
+    }
+    if (await this.store.getRoomIdBySocket(invite.socketId)) {
+      return { error: INVITE_ERRORS.busy };
+    }
+    if (!(await this.store.deleteExpiring(key))) {
+      return { error: INVITE_ERRORS["not-found"] };
+    }
+
+    const creator = this.users.get(invite.socketId);
+    if (creator && creator.inviteCode === inviteCode) {
+      creator.inviteCode = null;
+    }
+
+    const room = await this.pairDirectly(socketId, invite, {
+      via: "invite",
+      inviteCode,
+    });
+    if (!room) {
+      // The creator got busy after the check; the code stays usable
+      await this.restoreInvite(key, invite, inviteCode);
+      return { error: INVITE_ERRORS.busy };
+    }
+    return { room, creatorId: invite.socketId };
+  }
+
+  async restoreInvite(key, invite, inviteCode) {
+    const ttl = Date.parse(invite.expiresAt) - Date.now();
+    if (ttl <= 0) return;
+    await this.store.setExpiring(key, invite, ttl);
+    const creator = this.users.get(invite.socketId);
+    if (creator && !creator.inviteCode) {
+      creator.inviteCode = inviteCode;
+    }
+  }
+
+  // Friends
+
+  meetingKey(uid1, uid2) {
+    return `met:${[uid1, uid2].sort().join(":")}`;
+  }
+
+  // Remembers that uid shared a room with each of otherUids, which lets
+  // them send each other friend requests for meetingTtl
+  async recordMeeting(uid, otherUids) {
+    for (const otherUid of otherUids) {
+      if (!uid || !otherUid || otherUid === uid) continue;
+      await this.store.setExpiring(
+        this.meetingKey(uid, otherUid),
+        { metAt: new Date().toISOString() },
+        this.meetingTtl
+      );
+    }
+  }
+
+  async haveMet(uid1, uid2) {
+    if (!uid1 || !uid2) return false;
+    return Boolean(await this.store.getExpiring(this.meetingKey(uid1, uid2)));
+  }
+
+  friendCallKey(callId) {
+    return `friend-call:${this.mode}:${callId}`;
+  }
+
+  // Starts a call from socketId to friendUid that any of the friend's
+  // sockets in ringingIds may answer within friendCallTtl. Returns the call
+  // or null for an unknown socket.
+  async ringFriend(socketId, friendUid, ringingIds) {
+    if (!this.users.has(socketId)) return null;
+
+    const call = {
+      callId: crypto.randomUUID(),
+      socketId,
+      ...this.getProfile(socketId),
+      friendUid,
+      ringingIds,
+      expiresAt: new Date(Date.now() + this.friendCallTtl).toISOString(),
+    };
+    await this.store.setExpiring(
+      this.friendCallKey(call.callId),
+      call,
+      this.friendCallTtl + FRIEND_CALL_GRACE_MS
+    );
+    return call;
+  }
+
+  async getFriendCall(callId) {
+    if (typeof callId !== "string") return null;
+    return this.store.getExpiring(this.friendCallKey(callId));
+  }
+
+  // Ends an unanswered call for the caller or the friend, uid. Only the
+  // first to end or answer it gets the call back.
+  async endFriendCall(uid, callId) {
+    const call = await this.getFriendCall(callId);
+    if (!call || !uid || (call.uid !== uid && call.friendUid !== uid)) {
+      return null;
+    }
+    return (await this.store.deleteExpiring(this.friendCallKey(callId)))
+      ? call
+      : null;
+  }
+
+  // Pairs the friend's socketId with the caller. Answering, even when the
+  // caller turns out to be busy, ends the call. Returns { room, call },
+  // { error, call } once claimed, or { error }.
+  async answerFriendCall(socketId, callId) {
+    const user = this.users.get(socketId);
+    const call = user ? await this.getFriendCall(callId) : null;
+    if (
+      !call ||
+      !user.uid ||
+      call.friendUid !== user.uid ||
+      !call.ringingIds.includes(socketId) ||
+      Date.parse(call.expiresAt) <= Date.now()
+    ) {
+      return { error: FRIEND_CALL_ERRORS["not-found"] };
+    }
+    if (await this.store.getRoomIdBySocket(socketId)) {
+      return { error: FRIEND_CALL_ERRORS["in-room"] };
+    }
+    // Checked before claiming, so another of the friend's sockets can
+    // still answer
+    if (!isSameSegment(this.getProfile(socketId), call)) {
+      return { error: SAFETY_ERRORS.mismatch };
+    }
+    if (!(await this.store.deleteExpiring(this.friendCallKey(callId)))) {
+      return { error: FRIEND_CALL_ERRORS["not-found"] };
+    }
+
+    const room = await this.pairDirectly(socketId, call, { via: "friend" });
+    if (!room) return { error: FRIEND_CALL_ERRORS.busy, call };
+    return { room, call };
+  }
+
+  // History
+
+  // Saved messages name the sender by uid since socket ids do not outlive
+  // the connection
+  toHistoryMessage(room, message) {
+    const { fromId, ...fields } = message;
+    return { ...fields, fromUid: room.profiles[fromId]?.uid || null };
+  }
+
+  // History writes never break the chat itself
+  async writeHistory(write) {
+    try {
+      await write();
+    } catch (error) {
+      logger.error("Failed to write chat history", {
+        transport: this.mode,
+        error,
+      });
+    }
+  }
+
+  // Records whether socketId wants to keep its conversation. Once every
+  // participant agrees the conversation is saved, and messages sent after
+  // that are appended as they arrive.
+  async setKeepConversation(socketId, keep) {
+    if (!this.historyStore) return null;
+    const room = await this.getRoomBySocket(socketId);
+    if (!room) return null;
+
+    if (room.historySavedAt) {
+      return { room, consents: room.participants, saved: true };
+    }
+
+    const consents = await this.store.setRoomConsent(room.id, socketId, keep);
+    const saved =
+      room.participants.every((id) => consents.includes(id)) &&
+      (await this.saveConversation(room));
+    return { room, consents, saved };
+  }
+
+  // Setting historySavedAt first claims the save, so only one participant's
+  // request writes the conversation. A failed write clears it again, so the
+  // next keep-conversation retries.
+  async saveConversation(room) {
+    const openStates = [
+      ROOM_STATES.MATCHED,
+      ROOM_STATES.SIGNALING,
+      ROOM_STATES.CONNECTED,
+    ];
+    const savedAt = new Date().toISOString();
+    const previousState = await this.store.updateRoomState(
+      room.id,
+      openStates,
+      { historySavedAt: savedAt }
+    );
+    if (!previousState) return false;
+
+    try {
+      await this.saveConversationRecord(room, savedAt);
+    } catch (error) {
+      logger.error("Failed to save conversation", {
+        transport: this.mode,
+        roomId: room.id,
+        error,
+      });
+      await this.store.updateRoomState(room.id, openStates, {
+        historySavedAt: null,
+      });
+      return false;
+    }
+    return true;
+  }
+
+  async saveConversationRecord(room, savedAt) {
+    const messages = await this.store.getMessages(room.id);
+    await this.historyStore.saveConversation({
+      id: room.id,
+      transport: this.mode,
+      participantUids: room.participants
+        .map((id) => room.profiles[id]?.uid)
+        .filter(Boolean),
+      participants: room.participants.map((id) => ({
+        uid: room.profiles[id]?.uid || null,
+        userName: room.profiles[id]?.userName || null,
+      })),
+      startedAt: room.createdAt,
+      savedAt,
+      endedAt: null,
+      endReason: null,
+      messages: messages.map((message) => this.toHistoryMessage(room, message)),
+    });
+  }
+
+  async getStats() {
+    const rooms = await this.store.listRooms(this.mode);
+    return {
+      totalUsers: await this.store.countUsers(this.mode),
+      waitingUsers: await this.getQueueLength(),
+      activeRooms: rooms.length,
+      connectedRooms: rooms.filter(
+        (room) => room.state === ROOM_STATES.CONNECTED
+      ).length,
+    };
+  }
+}
+
+module.exports = {
+  MatchmakingCore,
+  ROOM_STATES,
+  ALREADY_IN_ROOM,
+  GROUP_ROOM_ERRORS,
+  FRIEND_CALL_ERRORS,
+  SAFETY_ERRORS,
+};
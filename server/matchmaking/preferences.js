@@ -0,0 +1,116 @@
+const MAX_INTERESTS = 10;
+const MAX_TAG_LENGTH = 32;
+
+// Turns a raw find-match payload into a predictable preferences object
+function normalizePreferences(payload) {
+  payload = payload || {};
+  const rawInterests = Array.isArray(payload.interests)
+    ? payload.interests
+    : [];
+
+  const interests = [
+    ...new Set(
+      rawInterests
+        .filter((tag) => typeof tag === "string")
+        .map((tag) => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean)
+    ),
+  ].slice(0, MAX_INTERESTS);
+
+  const language =
+    typeof payload.language === "string" && payload.language.trim()
+      ? payload.language.trim().toLowerCase()
+      : null;
+
+  const filters = payload.filters || {};
+
+  return {
+    interests,
+    language,
+    filters: {
+      language: Boolean(filters.language) && Boolean(language),
+      interests: Boolean(filters.interests) && interests.length > 0,
+    },
+  };
+}
+
+function getSharedInterests(prefs1, prefs2) {
+  if (!prefs1 || !prefs2) return [];
+  return prefs1.interests.filter((tag) => prefs2.interests.includes(tag));
+}
+
+// Hard filters only apply until the user has waited long enough to relax
+function satisfiesFilters(prefs, otherPrefs, relaxed) {
+  if (!prefs || relaxed) return true;
+  if (prefs.filters.language) {
+    if (!otherPrefs || otherPrefs.language !== prefs.language) return false;
+  }
+  if (prefs.filters.interests) {
+    if (getSharedInterests(prefs, otherPrefs).length === 0) return false;
+  }
+  return true;
+}
+
+function isCompatible(prefs1, prefs2, relaxed1 = false, relaxed2 = false) {
+  return (
+    satisfiesFilters(prefs1, prefs2, relaxed1) &&
+    satisfiesFilters(prefs2, prefs1, relaxed2)
+  );
+}
+
+// Shared tags count most; a common language breaks ties
+function scoreCandidate(prefs1, prefs2) {
+  if (!prefs1 || !prefs2) return 0;
+  let score = getSharedInterests(prefs1, prefs2).length * 2;
+  if (prefs1.language && prefs1.language === prefs2.language) {
+    score += 1;
+  }
+  return score;
+}
+
+// Lists the preferences the given partner does not satisfy
+function getUnmetPreferences(prefs, partnerPrefs) {
+  const unmet = [];
+  if (!prefs) return unmet;
+  if (
+    prefs.language &&
+    (!partnerPrefs || partnerPrefs.language !== prefs.language)
+  ) {
+    unmet.push("language");
+  }
+  if (
+    prefs.interests.length > 0 &&
+    getSharedInterests(prefs, partnerPrefs).length === 0
+  ) {
+    unmet.push("interests");
+  }
+  return unmet;
+}
+
+// Lists the preferences nobody else online can currently satisfy
+function getUnavailablePreferences(prefs, otherPrefsList) {
+  const unavailable = [];
+  if (!prefs) return unavailable;
+  if (
+    prefs.language &&
+    !otherPrefsList.some((other) => other && other.language === prefs.language)
+  ) {
+    unavailable.push("language");
+  }
+  if (
+    prefs.interests.length > 0 &&
+    !otherPrefsList.some((other) => getSharedInterests(prefs, other).length > 0)
+  ) {
+    unavailable.push("interests");
+  }
+  return unavailable;
+}
+
+module.exports = {
+  normalizePreferences,
+  getSharedInterests,
+  isCompatible,
+  scoreCandidate,
+  getUnmetPreferences,
+  getUnavailablePreferences,
+};
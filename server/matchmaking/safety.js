@@ -0,0 +1,50 @@
+// Age brackets come from the `ageBracket` custom claim on the Firebase ID
+// token, set once a user passes age verification. Users without it are
+// "unverified" and only meet each other.
+const AGE_BRACKETS = ["minor", "adult"];
+const UNVERIFIED_BRACKET = "unverified";
+
+// "safe" is the default; "nsfw" is an opt-in for verified adults
+const CONTENT_MODES = ["safe", "nsfw"];
+const DEFAULT_CONTENT_MODE = "safe";
+const ADULT_CONTENT_MODES = ["nsfw"];
+
+function normalizeAgeBracket(value) {
+  return AGE_BRACKETS.includes(value) ? value : UNVERIFIED_BRACKET;
+}
+
+// Returns the content mode, or null when the value is not one
+function normalizeContentMode(value) {
+  if (value === undefined || value === null) return DEFAULT_CONTENT_MODE;
+  if (typeof value !== "string") return null;
+  const contentMode = value.trim().toLowerCase();
+  return CONTENT_MODES.includes(contentMode) ? contentMode : null;
+}
+
+function isContentModeAllowed(ageBracket, contentMode) {
+  return (
+    !ADULT_CONTENT_MODES.includes(contentMode) ||
+    normalizeAgeBracket(ageBracket) === "adult"
+  );
+}
+
+// Users are only ever paired within one segment, e.g. "adult:nsfw"
+function getQueueSegment(profile) {
+  return [
+    normalizeAgeBracket(profile && profile.ageBracket),
+    (profile && profile.contentMode) || DEFAULT_CONTENT_MODE,
+  ].join(":");
+}
+
+function isSameSegment(profile1, profile2) {
+  return getQueueSegment(profile1) === getQueueSegment(profile2);
+}
+
+module.exports = {
+  DEFAULT_CONTENT_MODE,
+  normalizeAgeBracket,
+  normalizeContentMode,
+  isContentModeAllowed,
+  getQueueSegment,
+  isSameSegment,
+};
@@ -0,0 +1,567 @@
+const { logger, getSocketLogger } = require("../logging/logger");
+const { ALREADY_IN_ROOM } = require("./MatchmakingCore");
+
+// Refused while this instance drains; the client reconnects elsewhere
+const SERVER_DRAINING = {
+  code: "SERVER_DRAINING",
+  message: "Server is restarting, reconnect to continue",
+};
+
+// Every socket of a user joins this Socket.IO room when it connects, on
+// either server, so any instance can reach all of them
+const userRoom = (uid) => `user:${uid}`;
+
+const ALREADY_SEARCHING = {
+  code: "ALREADY_SEARCHING",
+  message: "Already looking for a match; cancel the search to start again",
+};
+
+// Wraps an async socket handler so failures are logged and reported to the
+// client instead of surfacing as unhandled rejections
+function handleAsync(socket, handler) {
+  return (...args) =>
+    Promise.resolve(handler(...args)).catch((error) => {
+      getSocketLogger(socket).error("Error handling socket event", { error });
+      socket.emit("error", { message: "Internal server error" });
+    });
+}
+
+// Disconnect reasons that may be followed by a reconnect
+const CONNECTION_LOST_REASONS = [
+  "ping timeout",
+  "transport close",
+  "transport error",
+];
+
+// How often a waiting user gets "queue-status"
+const QUEUE_STATUS_INTERVAL_MS =
+  parseInt(process.env.QUEUE_STATUS_INTERVAL_MS) || 5000;
+
+// Minimum gap between "stats-update" broadcasts
+const STATS_BROADCAST_INTERVAL_MS =
+  parseInt(process.env.STATS_BROADCAST_INTERVAL_MS) || 1000;
+
+// Runs fn at most once per waitMs. Calls in between collapse into a single
+// trailing run, so bursts of matchmaking activity send one stats update.
+function throttleAsync(fn, waitMs) {
+  let lastRun = 0;
+  let timer = null;
+
+  const run = async () => {
+    timer = null;
+    lastRun = Date.now();
+    try {
+      await fn();
+    } catch (error) {
+      logger.error("Throttled task failed", { error });
+    }
+  };
+
+  return async () => {
+    if (timer) return;
+    const wait = lastRun + waitMs - Date.now();
+    if (wait <= 0) {
+      await run();
+      return;
+    }
+    timer = setTimeout(run, wait);
+  };
+}
+
+// Calls a client's acknowledgement callback when it passed one
+function acknowledge(ack, response) {
+  if (typeof ack === "function") {
+    ack(response);
+  }
+}
+
+// Events usually sent without a payload may get the ack callback first
+function getAck(payload, ack) {
+  return typeof payload === "function" ? payload : ack;
+}
+
+// Sends the error through the ack callback when there is one, otherwise as
+// `eventName`, e.g. "invite-error"
+function rejectRequest(socket, ack, eventName, error) {
+  if (typeof ack === "function") {
+    ack({ ok: false, error });
+    return;
+  }
+  socket.emit(eventName, {
+    ...error,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Tells the sender why a chat-message was dropped: through its ack callback
+// when it passed one, otherwise with a "message-rejected" event
+function rejectChatMessage(socket, ack, payload, error) {
+  if (typeof ack === "function") {
+    ack({ ok: false, error });
+    return;
+  }
+  socket.emit("message-rejected", {
+    clientId: payload && payload.id !== undefined ? payload.id : null,
+    ...error,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Sends both sides of a new pair room their "match" event, each with its own
+// resume token. Directly paired rooms say how (`via` "invite" or "friend"),
+// and invite rooms carry the code.
+async function sendMatch({ io, core, room, buildMatchPayload }) {
+  const details = core.getMatchDetails(room);
+  const resumeTokens = await core.issueResumeTokens(room);
+  const [firstId, secondId] = room.participants;
+  const sides = [
+    [firstId, secondId],
+    [secondId, firstId],
+  ];
+  for (const [socketId, peerId] of sides) {
+    io.to(socketId).emit("match", {
+      ...(await buildMatchPayload(room, socketId, peerId, details)),
+      ...(room.via && room.via !== "queue" ? { via: room.via } : {}),
+      ...(room.inviteCode ? { inviteCode: room.inviteCode } : {}),
+      resumeToken: resumeTokens[socketId],
+    });
+  }
+}
+
+// Matchmaking events shared by the video and text chat servers:
+// find-match, cancel-search, next, block-user, report-user, keep-conversation,
+// resume-session and disconnect cleanup, plus the content mode picked in the
+// handshake or find-match.
+// `buildMatchPayload(room, socketId, peerId, details)` shapes the
+// transport-specific "match" event sent to each side. `log` is the socket's
+// logger.
+function registerMatchmakingHandlers({
+  io,
+  socket,
+  core,
+  moderationStore,
+  transport,
+  log,
+  buildMatchPayload,
+  broadcastStats,
+}) {
+  // Retries matching once this user's filters relax to random
+  let relaxTimer = null;
+  // Queue position updates and the search timeout while waiting
+  let queueStatusTimer = null;
+  let searchTimeoutTimer = null;
+
+  const stopSearchTimers = () => {
+    clearTimeout(relaxTimer);
+    clearInterval(queueStatusTimer);
+    clearTimeout(searchTimeoutTimer);
+    relaxTimer = null;
+    queueStatusTimer = null;
+    searchTimeoutTimer = null;
+  };
+
+  // Stops once the user left the queue, whichever way that happened
+  const sendQueueStatus = async () => {
+    const status = await core.getQueueStatus(socket.id);
+    if (!status) {
+      stopSearchTimers();
+      return;
+    }
+    socket.emit("queue-status", {
+      ...status,
+      timestamp: new Date().toISOString(),
+    });
+  };
+
+  const endSearch = async () => {
+    if (!(await core.removeFromWaitingQueue(socket.id))) return;
+    stopSearchTimers();
+
+    const user = core.getUser(socket.id);
+    log.info("Search timed out", { event: "search-timeout" });
+    socket.emit("search-timeout", {
+      waitedMs:
+        user && user.searchStartedAt ? Date.now() - user.searchStartedAt : 0,
+      timestamp: new Date().toISOString(),
+    });
+    await broadcastStats();
+  };
+
+  // The timeout counts from the start of the search, so retries after the
+  // filters relax do not extend it
+  const startSearchTimers = () => {
+    queueStatusTimer = setInterval(
+      handleAsync(socket, sendQueueStatus),
+      QUEUE_STATUS_INTERVAL_MS
+    );
+
+    const user = core.getUser(socket.id);
+    if (core.maxSearchTime && user && user.searchStartedAt) {
+      searchTimeoutTimer = setTimeout(
+        handleAsync(socket, endSearch),
+        Math.max(core.maxSearchTime - (Date.now() - user.searchStartedAt), 0)
+      );
+    }
+  };
+
+  // Kept on socket.data as well, so other instances see it through
+  // fetchSockets
+  const applyContentMode = async (value) => {
+    const result = await core.setContentMode(socket.id, value);
+    if (result.contentMode) {
+      socket.data.contentMode = result.contentMode;
+    }
+    return result;
+  };
+
+  const notifyPartnerLeft = (partnerId, reason) => {
+    io.to(partnerId).emit("partner-left", {
+      reason,
+      timestamp: new Date().toISOString(),
+    });
+  };
+
+  const tryMatch = async () => {
+    stopSearchTimers();
+
+    let partnerEntry = await core.getNextWaitingUser(socket.id);
+    let room = null;
+
+    while (partnerEntry) {
+      await core.removeFromWaitingQueue(socket.id);
+
+      room = await core.createRoom(socket.id, partnerEntry);
+      if (room) break;
+      // A partner already in a room is skipped for the next candidate;
+      // otherwise the failure is this socket's and the partner keeps its place
+      if (await core.requeue(partnerEntry)) {
+        socket.emit("error", { message: "Failed to create match" });
+        return;
+      }
+      partnerEntry = await core.getNextWaitingUser(socket.id);
+    }
+
+    if (room) {
+      await sendMatch({ io, core, room, buildMatchPayload });
+      log.info("Match created", {
+        event: "find-match",
+        roomId: room.id,
+        partnerId: partnerEntry.socketId,
+        segment: room.segment,
+      });
+    } else {
+      const relaxed = core.hasRelaxedFilters(socket.id);
+      await core.addToWaitingQueue(socket.id);
+      socket.emit("waiting", {
+        relaxed,
+        unavailablePreferences: await core.getUnavailablePreferences(socket.id),
+      });
+      await sendQueueStatus();
+      startSearchTimers();
+
+      if (!relaxed && core.getUser(socket.id)) {
+        relaxTimer = setTimeout(
+          handleAsync(socket, async () => {
+            if (await core.isWaiting(socket.id)) {
+              await tryMatch();
+            }
+          }),
+          core.matchRelaxAfter
+        );
+      }
+    }
+
+    await broadcastStats();
+  };
+
+  const findMatch = async (payload) => {
+    log.info("Find match request", { event: "find-match" });
+    if (core.draining) {
+      socket.emit("error", SERVER_DRAINING);
+      return;
+    }
+    // A second room would leave the first one's partner stranded
+    if (await core.getRoomBySocket(socket.id)) {
+      socket.emit("error", ALREADY_IN_ROOM);
+      return;
+    }
+    // The queue entry keeps the preferences it was added with, so new ones
+    // need cancel-search first
+    if (await core.isWaiting(socket.id)) {
+      socket.emit("error", ALREADY_SEARCHING);
+      return;
+    }
+    // Without a contentMode the current one stays
+    if (payload && payload.contentMode !== undefined) {
+      const result = await applyContentMode(payload.contentMode);
+      if (result.error) {
+        socket.emit("error", result.error);
+        return;
+      }
+    }
+
+    core.setSearchPreferences(socket.id, payload);
+    await tryMatch();
+  };
+
+  // The handshake may pick the starting content mode. Tells the client which
+  // mode and age bracket it ended up with either way.
+  handleAsync(socket, async () => {
+    const requested =
+      socket.handshake.auth && socket.handshake.auth.contentMode;
+    const result = await applyContentMode(requested);
+    if (result.error) {
+      socket.emit("error", result.error);
+    }
+    const user = core.getUser(socket.id);
+    if (user) {
+      socket.emit("content-mode", {
+        contentMode: user.contentMode,
+        ageBracket: user.ageBracket,
+      });
+    }
+  })();
+
+  socket.on("find-match", handleAsync(socket, findMatch));
+
+  socket.on(
+    "cancel-search",
+    handleAsync(socket, async (payload, ack) => {
+      const reply = getAck(payload, ack);
+      stopSearchTimers();
+      const cancelled = await core.removeFromWaitingQueue(socket.id);
+
+      log.info("Search cancelled", { event: "cancel-search", cancelled });
+      socket.emit("search-cancelled", { timestamp: new Date().toISOString() });
+      acknowledge(reply, { ok: true, cancelled });
+      if (cancelled) {
+        await broadcastStats();
+      }
+    })
+  );
+
+  // Leave the current partner and go straight back to matchmaking
+  socket.on(
+    "next",
+    handleAsync(socket, async (payload) => {
+      log.info("Next request", { event: "next" });
+
+      const partnerId = await core.leaveRoom(socket.id, "skipped");
+      if (partnerId) {
+        await core.recordSkip(socket.id, partnerId);
+        notifyPartnerLeft(partnerId, "skipped");
+      }
+      await core.removeFromWaitingQueue(socket.id);
+
+      // Keep the previous preferences unless new ones are sent
+      const user = core.getUser(socket.id);
+      await findMatch(payload || (user && user.preferences));
+    })
+  );
+
+  // Block the current (or last) partner so they are never matched again.
+  // In a group room, peerId names the member.
+  socket.on(
+    "block-user",
+    handleAsync(socket, async ({ peerId } = {}) => {
+      const user = core.getUser(socket.id);
+      const target = await core.getReportTarget(socket.id, peerId);
+      if (!moderationStore || !user || !target || !target.uid) {
+        socket.emit("error", { message: "No user to block" });
+        return;
+      }
+
+      await moderationStore.blockUser(user.uid, target.uid);
+
+      if ((await core.getPartnerId(socket.id)) === target.socketId) {
+        const partnerId = await core.endRoom(socket.id, "partner-left");
+        if (partnerId) {
+          notifyPartnerLeft(partnerId, "Partner left");
+        }
+        await broadcastStats();
+      }
+
+      socket.emit("user-blocked", { timestamp: new Date().toISOString() });
+    })
+  );
+
+  // Queue a report with the recent room messages for moderators
+  socket.on(
+    "report-user",
+    handleAsync(socket, async ({ reason, details, peerId } = {}) => {
+      const user = core.getUser(socket.id);
+      const target = await core.getReportTarget(socket.id, peerId);
+      if (!moderationStore || !user || !target || !target.uid) {
+        socket.emit("error", { message: "No user to report" });
+        return;
+      }
+
+      const report = await moderationStore.addReport({
+        transport,
+        reporterUid: user.uid,
+        reportedUid: target.uid,
+        roomId: target.roomId,
+        reason,
+        details,
+        messages: target.messages,
+      });
+
+      log.info("Report filed", {
+        event: "report-user",
+        reportId: report.id,
+        roomId: target.roomId,
+      });
+      socket.emit("report-submitted", {
+        reportId: report.id,
+        timestamp: new Date().toISOString(),
+      });
+    })
+  );
+
+  // Opt in (or back out) of saving the current conversation. It is saved
+  // once both sides have opted in.
+  socket.on(
+    "keep-conversation",
+    handleAsync(socket, async ({ keep = true } = {}) => {
+      if (!core.historyStore) {
+        socket.emit("error", { message: "Chat history is disabled" });
+        return;
+      }
+
+      const result = await core.setKeepConversation(socket.id, keep === true);
+      if (!result) {
+        socket.emit("error", { message: "No conversation to keep" });
+        return;
+      }
+
+      const { room, consents, saved } = result;
+      room.participants.forEach((participantId) => {
+        const peerId = room.participants.find((id) => id !== participantId);
+        io.to(participantId).emit("conversation-consent", {
+          conversationId: room.id,
+          keep: consents.includes(participantId),
+          peerKeep: consents.includes(peerId),
+          saved,
+          timestamp: new Date().toISOString(),
+        });
+      });
+
+      if (saved) {
+        log.info("Conversation saved", {
+          event: "keep-conversation",
+          roomId: room.id,
+        });
+      }
+    })
+  );
+
+  // Take back a room after reconnecting. The client sends the resumeToken
+  // from its last "match" or "session-resumed" event, plus the id of the
+  // last message it saw. In video, restartIce tells both peers to renegotiate
+  // with a fresh offer from the resumed side.
+  socket.on(
+    "resume-session",
+    handleAsync(socket, async ({ resumeToken, lastMessageId } = {}) => {
+      const resumed = await core.resumeSession(
+        socket.id,
+        resumeToken,
+        lastMessageId
+      );
+      if (!resumed) {
+        socket.emit("resume-failed", {
+          reason: "Session expired",
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      stopSearchTimers();
+      const { room, previousSocketId, partnerId, peerIds } = resumed;
+      // The old socket may not have timed out yet
+      io.in(previousSocketId).disconnectSockets(true);
+
+      const details = core.getMatchDetails(room);
+      socket.emit("session-resumed", {
+        ...(await buildMatchPayload(room, socket.id, partnerId, details)),
+        resumeToken: resumed.resumeToken,
+        missedMessages: resumed.missedMessages,
+        restartIce: transport === "video",
+      });
+      if (peerIds.length > 0) {
+        io.to(peerIds).emit("partner-reconnected", {
+          peerId: socket.id,
+          previousPeerId: previousSocketId,
+          restartIce: transport === "video",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      log.info("Session resumed", {
+        event: "resume-session",
+        roomId: room.id,
+        previousSocketId,
+      });
+    })
+  );
+
+  socket.on(
+    "disconnect",
+    handleAsync(socket, async (reason) => {
+      log.info("Disconnection", { event: "disconnect", reason });
+      stopSearchTimers();
+
+      // Hold the room when the connection was lost rather than closed
+      const peerIds = CONNECTION_LOST_REASONS.includes(reason)
+        ? await core.holdRoom(socket.id)
+        : null;
+      if (peerIds) {
+        io.to(peerIds).emit("partner-reconnecting", {
+          peerId: socket.id,
+          graceMs: core.reconnectGrace,
+          timestamp: new Date().toISOString(),
+        });
+        setTimeout(
+          handleAsync(socket, async () => {
+            const leftPartnerId = await core.leaveRoom(
+              socket.id,
+              "partner-disconnected"
+            );
+            if (leftPartnerId) {
+              notifyPartnerLeft(leftPartnerId, "Partner disconnected");
+              await broadcastStats();
+            }
+          }),
+          core.reconnectGrace
+        );
+        await core.removeUser(socket.id, { keepRoom: true });
+        await broadcastStats();
+        return;
+      }
+
+      const leftPartnerId = await core.leaveRoom(
+        socket.id,
+        "partner-disconnected"
+      );
+      if (leftPartnerId) {
+        notifyPartnerLeft(leftPartnerId, "Partner disconnected");
+      }
+
+      await core.removeUser(socket.id);
+      await broadcastStats();
+    })
+  );
+}
+
+module.exports = {
+  registerMatchmakingHandlers,
+  sendMatch,
+  handleAsync,
+  throttleAsync,
+  STATS_BROADCAST_INTERVAL_MS,
+  acknowledge,
+  getAck,
+  rejectRequest,
+  rejectChatMessage,
+  SERVER_DRAINING,
+  userRoom,
+};
@@ -0,0 +1,125 @@
+const client = require("prom-client");
+const { ROOM_STATES } = require("../matchmaking/MatchmakingCore");
+
+// Prometheus metrics for both chat servers. Gauges are read from the state
+// store when scraped, so with a shared store they cover every instance;
+// histograms and counters only count what happened on this one.
+function createMetrics() {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: "guffgaff_" });
+
+  const cores = new Map(); // namespace -> MatchmakingCore
+
+  const statsGauge = (name, help, read) =>
+    new client.Gauge({
+      name,
+      help,
+      labelNames: ["namespace"],
+      registers: [registry],
+      async collect() {
+        this.reset();
+        for (const [namespace, core] of cores) {
+          this.set({ namespace }, read(await core.getStats()));
+        }
+      },
+    });
+
+  statsGauge(
+    "guffgaff_connected_users",
+    "Users connected per namespace",
+    (stats) => stats.totalUsers
+  );
+  statsGauge(
+    "guffgaff_queue_length",
+    "Users waiting for a match",
+    (stats) => stats.waitingUsers
+  );
+  statsGauge(
+    "guffgaff_active_rooms",
+    "Open rooms, connected or not",
+    (stats) => stats.activeRooms
+  );
+  statsGauge(
+    "guffgaff_connected_rooms",
+    "Rooms whose peers confirmed the connection",
+    (stats) => stats.connectedRooms
+  );
+
+  const matchWait = new client.Histogram({
+    name: "guffgaff_match_wait_seconds",
+    help: "Time from find-match to being matched",
+    labelNames: ["namespace"],
+    buckets: [0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300],
+    registers: [registry],
+  });
+  const connectLatency = new client.Histogram({
+    name: "guffgaff_match_to_connected_seconds",
+    help: "Time from match to both peers confirming the connection",
+    labelNames: ["namespace"],
+    buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+    registers: [registry],
+  });
+  const callDuration = new client.Histogram({
+    name: "guffgaff_call_duration_seconds",
+    help: "Time from connection to the end of a room",
+    labelNames: ["namespace"],
+    buckets: [5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+    registers: [registry],
+  });
+  const roomsClosed = new client.Counter({
+    name: "guffgaff_rooms_closed_total",
+    help: "Rooms closed, by final state and reason",
+    labelNames: ["namespace", "state", "reason"],
+    registers: [registry],
+  });
+  const socketEvents = new client.Counter({
+    name: "guffgaff_socket_events_total",
+    help: "Events received from clients, including signaling",
+    labelNames: ["namespace", "event"],
+    registers: [registry],
+  });
+
+  const secondsSince = (isoTime) => (Date.now() - Date.parse(isoTime)) / 1000;
+
+  return {
+    registry,
+
+    instrumentCore(core, namespace) {
+      cores.set(namespace, core);
+
+      core.on("room-created", ({ waitTimesMs }) => {
+        waitTimesMs.forEach((waitMs) => {
+          matchWait.observe({ namespace }, waitMs / 1000);
+        });
+      });
+
+      core.on("room-state", ({ state, reason, createdAt, connectedAt }) => {
+        if (state === ROOM_STATES.CONNECTED && createdAt) {
+          connectLatency.observe({ namespace }, secondsSince(createdAt));
+        } else if (
+          state === ROOM_STATES.ENDED ||
+          state === ROOM_STATES.FAILED
+        ) {
+          roomsClosed.inc({ namespace, state, reason: reason || "unknown" });
+          if (connectedAt) {
+            callDuration.observe({ namespace }, secondsSince(connectedAt));
+          }
+        }
+      });
+    },
+
+    // Counts incoming events. Events without a handler are grouped so
+    // clients cannot add label values.
+    instrumentSocket(socket, namespace) {
+      socket.use(([event], next) => {
+        socketEvents.inc({
+          namespace,
+          event: socket.listeners(event).length > 0 ? event : "unhandled",
+        });
+        next();
+      });
+    },
+  };
+}
+
+module.exports = { createMetrics };
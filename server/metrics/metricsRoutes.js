@@ -0,0 +1,30 @@
+const express = require("express");
+
+// Prometheus scrape endpoint, mounted under /metrics. When METRICS_TOKEN is
+// set the scraper must send it as a Bearer token.
+function createMetricsRouter({ metrics }) {
+  const router = express.Router();
+  const token = process.env.METRICS_TOKEN;
+
+  router.get("/", async (req, res) => {
+    if (token && req.get("authorization") !== `Bearer ${token}`) {
+      res.status(401).json({
+        error: "AUTH_REQUIRED",
+        message: "Authentication required",
+      });
+      return;
+    }
+
+    try {
+      res.set("Content-Type", metrics.registry.contentType);
+      res.status(200).send(await metrics.registry.metrics());
+    } catch (error) {
+      req.log.error("Failed to collect metrics", { error });
+      res.status(500).end();
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMetricsRouter };
@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { logger } = require("../logging/logger");
+
+// Record of admin actions. Keeps the latest entries in memory for the admin
+// API and, when `file` is set, appends every entry to it as a JSON line.
+class AuditLog {
+  constructor({ file = null, limit = 1000 } = {}) {
+    this.file = file;
+    this.limit = limit;
+    this.entries = [];
+  }
+
+  record({ adminUid, action, target = null, details = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      adminUid,
+      action,
+      target,
+      details,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+
+    logger.info("Admin action", {
+      auditId: entry.id,
+      adminUid,
+      action,
+      target,
+    });
+    if (this.file) {
+      fs.appendFile(this.file, JSON.stringify(entry) + "\n", (error) => {
+        if (error) {
+          logger.error("Failed to write audit log", { error });
+        }
+      });
+    }
+    return entry;
+  }
+
+  // Newest first
+  list({ limit = 100 } = {}) {
+    return this.entries.slice(-limit).reverse();
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,105 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+
+// Blocks, reports and bans keyed by authenticated uid, shared by both chat
+// servers. Blocks and reports go to `records` (see createRecordStore) so
+// they are kept for good; bans expire, so they stay in the state store
+// `store`. Emits "report-added" and "user-banned" for outside listeners.
+class ModerationStore extends EventEmitter {
+  constructor({ store, records = store }) {
+    super();
+    this.store = store;
+    this.records = records;
+  }
+
+  async blockUser(uid, blockedUid) {
+    if (!uid || !blockedUid || uid === blockedUid) return false;
+    await this.records.addBlock(uid, blockedUid);
+    return true;
+  }
+
+  // A block in either direction keeps the pair apart
+  async isBlocked(uid1, uid2) {
+    if (!uid1 || !uid2) return false;
+    return this.records.isBlockedPair(uid1, uid2);
+  }
+
+  async addReport({
+    transport,
+    reporterUid,
+    reportedUid,
+    roomId,
+    reason,
+    details,
+    messages,
+  }) {
+    const report = {
+      id: crypto.randomUUID(),
+      status: "open",
+      transport,
+      reporterUid,
+      reportedUid,
+      roomId: roomId || null,
+      reason: String(reason || "unspecified").slice(0, 100),
+      details: details ? String(details).slice(0, 1000) : null,
+      messages: messages || [],
+      createdAt: new Date().toISOString(),
+      resolvedAt: null,
+      resolvedBy: null,
+      resolution: null,
+    };
+    await this.records.addReport(report);
+    this.emit("report-added", report);
+    return report;
+  }
+
+  async listReports({ status } = {}) {
+    return (await this.records.listReports()).filter(
+      (report) => !status || report.status === status
+    );
+  }
+
+  async getReport(reportId) {
+    return this.records.getReport(reportId);
+  }
+
+  // Returns null when the report is unknown or already resolved
+  async resolveReport(reportId, { resolvedBy, resolution }) {
+    return this.records.resolveReport(reportId, {
+      status: "resolved",
+      resolvedAt: new Date().toISOString(),
+      resolvedBy,
+      resolution: resolution ? String(resolution).slice(0, 1000) : null,
+    });
+  }
+
+  // durationMs null bans until lifted
+  async banUser(uid, { durationMs = null, reason, bannedBy }) {
+    const now = Date.now();
+    const ban = {
+      uid,
+      reason: reason ? String(reason).slice(0, 1000) : null,
+      bannedBy,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: durationMs ? new Date(now + durationMs).toISOString() : null,
+    };
+    await this.store.setBan(ban, durationMs);
+    this.emit("user-banned", ban);
+    return ban;
+  }
+
+  async getActiveBan(uid) {
+    if (!uid) return null;
+    return this.store.getBan(uid);
+  }
+
+  async listBans() {
+    return this.store.listBans();
+  }
+
+  async liftBan(uid) {
+    return this.store.deleteBan(uid);
+  }
+}
+
+module.exports = ModerationStore;
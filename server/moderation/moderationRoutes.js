@@ -0,0 +1,75 @@
+const express = require("express");
+
+// Report queue routes, mounted by the admin router after authentication
+function createModerationRouter({ moderationStore, auditLog }) {
+  const router = express.Router();
+
+  router.get("/reports", async (req, res) => {
+    try {
+      const status =
+        typeof req.query.status === "string" ? req.query.status : undefined;
+      res.status(200).json({
+        reports: await moderationStore.listReports({ status }),
+      });
+    } catch (error) {
+      req.log.error("Error listing reports", { error });
+      res.status(500).json({ error: "INTERNAL", message: "Internal error" });
+    }
+  });
+
+  router.get("/reports/:reportId", async (req, res) => {
+    try {
+      const report = await moderationStore.getReport(req.params.reportId);
+      if (!report) {
+        res.status(404).json({ error: "NOT_FOUND", message: "Unknown report" });
+        return;
+      }
+      res.status(200).json({ report });
+    } catch (error) {
+      req.log.error("Error loading report", {
+        reportId: req.params.reportId,
+        error,
+      });
+      res.status(500).json({ error: "INTERNAL", message: "Internal error" });
+    }
+  });
+
+  router.post("/reports/:reportId/resolve", async (req, res) => {
+    try {
+      if (!(await moderationStore.getReport(req.params.reportId))) {
+        res.status(404).json({ error: "NOT_FOUND", message: "Unknown report" });
+        return;
+      }
+
+      const report = await moderationStore.resolveReport(req.params.reportId, {
+        resolvedBy: req.admin.uid,
+        resolution: req.body && req.body.resolution,
+      });
+      if (!report) {
+        res.status(409).json({
+          error: "ALREADY_RESOLVED",
+          message: "Report already resolved",
+        });
+        return;
+      }
+
+      auditLog.record({
+        adminUid: req.admin.uid,
+        action: "resolve-report",
+        target: { reportId: report.id },
+        details: { resolution: report.resolution },
+      });
+      res.status(200).json({ report });
+    } catch (error) {
+      req.log.error("Error resolving report", {
+        reportId: req.params.reportId,
+        error,
+      });
+      res.status(500).json({ error: "INTERNAL", message: "Internal error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createModerationRouter };
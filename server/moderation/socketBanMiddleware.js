@@ -0,0 +1,27 @@
+// Socket.IO middleware refusing users with an active admin ban. Runs after
+// authentication so the uid is known.
+function createSocketBanMiddleware(moderationStore) {
+  return async (socket, next) => {
+    try {
+      const ban =
+        moderationStore &&
+        (await moderationStore.getActiveBan(socket.data.user?.uid));
+      if (!ban) {
+        next();
+        return;
+      }
+
+      const error = new Error("Account banned");
+      error.data = {
+        code: "BANNED",
+        reason: ban.reason,
+        expiresAt: ban.expiresAt,
+      };
+      next(error);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = { createSocketBanMiddleware };
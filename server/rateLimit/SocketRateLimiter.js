@@ -0,0 +1,241 @@
+const { logger } = require("../logging/logger");
+const { userRoom } = require("../matchmaking/socketHandlers");
+
+// Token buckets per event: `capacity` is the burst size and
+// `refillPerSecond` the sustained rate. Events not listed use `default`.
+const DEFAULT_LIMITS = {
+  default: { capacity: 30, refillPerSecond: 10 },
+  "find-match": { capacity: 5, refillPerSecond: 0.5 },
+  next: { capacity: 5, refillPerSecond: 0.5 },
+  "chat-message": { capacity: 10, refillPerSecond: 2 },
+  typing: { capacity: 10, refillPerSecond: 2 },
+  offer: { capacity: 5, refillPerSecond: 1 },
+  answer: { capacity: 5, refillPerSecond: 1 },
+  "ice-candidate": { capacity: 50, refillPerSecond: 20 },
+  "report-user": { capacity: 3, refillPerSecond: 0.05 },
+  "block-user": { capacity: 5, refillPerSecond: 0.1 },
+};
+
+// SOCKET_RATE_LIMITS holds JSON overrides keyed by event name
+function loadLimits() {
+  if (!process.env.SOCKET_RATE_LIMITS) return DEFAULT_LIMITS;
+  try {
+    return { ...DEFAULT_LIMITS, ...JSON.parse(process.env.SOCKET_RATE_LIMITS) };
+  } catch (error) {
+    logger.warn("Ignoring invalid SOCKET_RATE_LIMITS", {
+      error: error.message,
+    });
+    return DEFAULT_LIMITS;
+  }
+}
+
+// Limits incoming socket events per socket and per uid, so opening more
+// sockets does not buy more throughput. Every rejected event is a strike;
+// too many strikes within strikeWindowMs disconnects the user and refuses
+// new connections until the ban expires. Buckets and strikes are local to
+// this instance; bans go through the state store so every instance sees
+// them. One limiter can serve both servers, so a uid's budget and ban cover
+// its sockets on either.
+class SocketRateLimiter {
+  constructor({
+    store,
+    limits = loadLimits(),
+    identityFactor = parseFloat(process.env.RATE_LIMIT_IDENTITY_FACTOR) || 2,
+    strikeLimit = parseInt(process.env.RATE_LIMIT_STRIKES) || 10,
+    strikeWindowMs = 60 * 1000,
+    banDurationMs = parseInt(process.env.RATE_LIMIT_BAN_MS) || 5 * 60 * 1000,
+  }) {
+    this.store = store;
+    this.limits = limits;
+    this.identityFactor = identityFactor;
+    this.strikeLimit = strikeLimit;
+    this.strikeWindowMs = strikeWindowMs;
+    this.banDurationMs = banDurationMs;
+
+    this.buckets = new Map(); // key -> { tokens, updatedAt, ...limit }
+    this.strikes = new Map(); // uid or socket id -> strike timestamps
+    this.namespaces = new Set(); // every namespace with an attached socket
+  }
+
+  // Unknown events share the default bucket so clients cannot create
+  // buckets at will
+  getLimitName(event) {
+    return Object.prototype.hasOwnProperty.call(this.limits, event)
+      ? event
+      : "default";
+  }
+
+  // Takes one token from the bucket and returns 0, or how many ms until
+  // one is available
+  take(key, { capacity, refillPerSecond }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || {
+      tokens: capacity,
+      updatedAt: now,
+      capacity,
+      refillPerSecond,
+    };
+    bucket.tokens = this.refill(bucket, now);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / refillPerSecond) * 1000);
+  }
+
+  refill(bucket, now) {
+    return Math.min(
+      bucket.capacity,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.refillPerSecond
+    );
+  }
+
+  // Drops buckets that have refilled completely and stale strikes
+  sweep() {
+    const now = Date.now();
+    this.buckets.forEach((bucket, key) => {
+      if (this.refill(bucket, now) >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+    this.strikes.forEach((strikes, offenderId) => {
+      if (now - strikes[strikes.length - 1] >= this.strikeWindowMs) {
+        this.strikes.delete(offenderId);
+      }
+    });
+  }
+
+  // Returns 0 when the event may proceed, otherwise the retry delay in ms
+  consume(socketId, uid, event) {
+    if (this.buckets.size > 10000) {
+      this.sweep();
+    }
+
+    const name = this.getLimitName(event);
+    const limit = this.limits[name];
+    const socketWait = this.take(`socket|${socketId}|${name}`, limit);
+    if (socketWait || !uid) return socketWait;
+
+    return this.take(`uid|${uid}|${name}`, {
+      capacity: limit.capacity * this.identityFactor,
+      refillPerSecond: limit.refillPerSecond * this.identityFactor,
+    });
+  }
+
+  // Records a strike and returns true when it crosses the ban threshold
+  recordStrike(offenderId) {
+    const now = Date.now();
+    const strikes = (this.strikes.get(offenderId) || []).filter(
+      (time) => now - time < this.strikeWindowMs
+    );
+    strikes.push(now);
+
+    if (strikes.length >= this.strikeLimit) {
+      this.strikes.delete(offenderId);
+      return true;
+    }
+    this.strikes.set(offenderId, strikes);
+    return false;
+  }
+
+  async ban(offenderId) {
+    await this.store.setExpiring(
+      `rate-ban:${offenderId}`,
+      Date.now() + this.banDurationMs,
+      this.banDurationMs
+    );
+  }
+
+  async getBanExpiry(offenderId) {
+    return this.store.getExpiring(`rate-ban:${offenderId}`);
+  }
+
+  // Connection middleware refusing users that are serving a ban. Runs after
+  // authentication so the uid is known.
+  connectionMiddleware() {
+    return async (socket, next) => {
+      try {
+        const offenderId = socket.data.user?.uid || socket.handshake.address;
+        const bannedUntil = await this.getBanExpiry(offenderId);
+        if (!bannedUntil) {
+          next();
+          return;
+        }
+
+        const error = new Error("Temporarily banned for flooding");
+        error.data = {
+          code: "RATE_LIMIT_BANNED",
+          retryAfterMs: Math.max(0, bannedUntil - Date.now()),
+        };
+        next(error);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Ends every socket of the banned uid, on any instance, through its
+  // userRoom; a socket without a uid only has itself
+  disconnectOffender(socket) {
+    const uid = socket.data.user?.uid;
+    if (!uid) {
+      socket.disconnect(true);
+      return;
+    }
+    this.namespaces.forEach((nsp) => {
+      nsp.in(userRoom(uid)).disconnectSockets(true);
+    });
+  }
+
+  // Per-socket middleware checking every incoming event. `log` is the
+  // socket's logger.
+  attach(socket, log) {
+    const offenderId = socket.data.user?.uid || socket.handshake.address;
+    this.namespaces.add(socket.nsp);
+
+    socket.use((packet, next) => {
+      const [event] = packet;
+      const retryAfterMs = this.consume(
+        socket.id,
+        socket.data.user?.uid,
+        event
+      );
+      if (!retryAfterMs) {
+        next();
+        return;
+      }
+
+      const error = {
+        code: "RATE_LIMITED",
+        message: "Too many requests",
+        event,
+        retryAfterMs,
+      };
+      const ack = packet[packet.length - 1];
+      if (typeof ack === "function") {
+        ack({ ok: false, error });
+      }
+      socket.emit("rate-limited", error);
+
+      if (this.recordStrike(offenderId)) {
+        log.warn("Banning for flooding", { event, offenderId });
+        this.ban(offenderId)
+          .catch((banError) => {
+            log.error("Failed to store ban", { offenderId, error: banError });
+          })
+          .finally(() => this.disconnectOffender(socket));
+      }
+    });
+
+    socket.on("disconnect", () => {
+      Object.keys(this.limits).forEach((name) => {
+        this.buckets.delete(`socket|${socket.id}|${name}`);
+      });
+    });
+  }
+}
+
+module.exports = SocketRateLimiter;
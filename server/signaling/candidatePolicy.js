@@ -0,0 +1,106 @@
+const net = require("net");
+const { parseCandidate } = require("./signalingSchema");
+
+// all: relay every candidate unchanged
+// no-host: drop host candidates and any carrying a private address, so peers
+//   never learn each other's local network
+// relay: keep only TURN relay candidates, hiding both peers' addresses
+const CANDIDATE_POLICIES = ["all", "no-host", "relay"];
+
+const PRIVATE_IPV4_RANGES = [
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+];
+
+function ipv4ToInt(address) {
+  return address
+    .split(".")
+    .reduce((value, octet) => value * 256 + parseInt(octet), 0);
+}
+
+// Private, loopback, link-local and CGNAT addresses, plus the mDNS names
+// browsers use to hide host addresses
+function isPrivateAddress(address) {
+  if (address.endsWith(".local")) return true;
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      const start = ipv4ToInt(base);
+      return value >= start && value < start + size;
+    });
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    return (
+      lower === "::1" ||
+      lower.startsWith("fc") ||
+      lower.startsWith("fd") ||
+      /^fe[89ab]/.test(lower)
+    );
+  }
+  return false;
+}
+
+// The related address of srflx and relay candidates is the local address
+// behind them
+function maskRelatedAddress(line) {
+  return line.replace(/ raddr \S+ rport \d+/, " raddr 0.0.0.0 rport 0");
+}
+
+// Filters ICE candidates, trickled or inside SDP, by ICE_CANDIDATE_POLICY.
+// iceTransportPolicy is what clients should set on their RTCPeerConnection.
+function createCandidatePolicy(
+  policy = process.env.ICE_CANDIDATE_POLICY || "all"
+) {
+  if (!CANDIDATE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown ICE candidate policy: ${policy}`);
+  }
+
+  const allows = (candidate) =>
+    policy === "relay"
+      ? candidate.type === "relay"
+      : candidate.type !== "host" && !isPrivateAddress(candidate.address);
+
+  // Returns the candidate line to relay, or null to drop it
+  const filterCandidate = (line) => {
+    if (policy === "all" || !line) return line;
+    const candidate = parseCandidate(line);
+    return candidate && allows(candidate) ? maskRelatedAddress(line) : null;
+  };
+
+  // Drops candidates from the SDP and blanks the default connection
+  // addresses, which repeat one of them
+  const filterSdp = (sdp) => {
+    if (policy === "all") return sdp;
+    const eol = sdp.includes("\r\n") ? "\r\n" : "\n";
+    return sdp
+      .split(eol)
+      .filter(
+        (line) => !line.startsWith("a=candidate:") || filterCandidate(line)
+      )
+      .map((line) => {
+        if (line.startsWith("a=candidate:")) return maskRelatedAddress(line);
+        if (line.startsWith("c=") || line.startsWith("a=rtcp:")) {
+          return line
+            .replace(/IN IP4 \S+/, "IN IP4 0.0.0.0")
+            .replace(/IN IP6 \S+/, "IN IP6 ::");
+        }
+        return line;
+      })
+      .join(eol);
+  };
+
+  return {
+    policy,
+    iceTransportPolicy: policy === "relay" ? "relay" : "all",
+    filterCandidate,
+    filterSdp,
+  };
+}
+
+module.exports = { createCandidatePolicy, CANDIDATE_POLICIES };
@@ -0,0 +1,131 @@
+// Session description types accepted for each signaling event
+const DESCRIPTION_TYPES = {
+  offer: ["offer"],
+  answer: ["answer", "pranswer"],
+};
+const MAX_SDP_MID_LENGTH = 64;
+const MAX_SDP_MLINE_INDEX = 1023;
+const MAX_USERNAME_FRAGMENT_LENGTH = 256;
+
+// candidate:<foundation> <component> <transport> <priority> <address> <port>
+// typ <type> [extensions such as raddr/rport]
+const CANDIDATE_PATTERN =
+  /^(?:a=)?candidate:(\S{1,32}) (\d{1,3}) (udp|tcp) (\d{1,10}) (\S{1,255}) (\d{1,5}) typ (host|srflx|prflx|relay)(?: (.*))?$/i;
+const SDP_LINE_PATTERN = /^[a-z]=.*$/;
+// Anything below a space other than tab, CR and LF
+const CONTROL_CHARACTERS = /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/;
+
+function reject(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Splits an ICE candidate attribute into its fields, or returns null when
+// it is malformed
+function parseCandidate(line) {
+  const match = CANDIDATE_PATTERN.exec(line);
+  if (!match) return null;
+  return {
+    foundation: match[1],
+    component: parseInt(match[2]),
+    transport: match[3].toLowerCase(),
+    priority: parseInt(match[4]),
+    address: match[5],
+    port: parseInt(match[6]),
+    type: match[7].toLowerCase(),
+  };
+}
+
+// Checks an offer or answer (`kind`) and returns a copy with only
+// { type, sdp }
+function validateSessionDescription(payload, kind, { maxSdpLength }) {
+  if (!isObject(payload)) {
+    return reject("SDP_INVALID", "Session description must be an object");
+  }
+  if (!DESCRIPTION_TYPES[kind].includes(payload.type)) {
+    return reject("SDP_INVALID_TYPE", `Expected an ${kind} description`);
+  }
+  if (typeof payload.sdp !== "string" || !payload.sdp) {
+    return reject("SDP_INVALID", "SDP must be a non-empty string");
+  }
+  if (payload.sdp.length > maxSdpLength) {
+    return reject(
+      "SDP_TOO_LARGE",
+      `SDP is longer than ${maxSdpLength} characters`
+    );
+  }
+
+  const lines = payload.sdp.split(/\r?\n/).filter(Boolean);
+  if (
+    lines[0] !== "v=0" ||
+    CONTROL_CHARACTERS.test(payload.sdp) ||
+    !lines.every((line) => SDP_LINE_PATTERN.test(line)) ||
+    !lines.some((line) => line.startsWith("m="))
+  ) {
+    return reject("SDP_INVALID", "Malformed SDP");
+  }
+
+  return { ok: true, description: { type: payload.type, sdp: payload.sdp } };
+}
+
+// Checks a trickled ICE candidate and returns a copy with only the
+// RTCIceCandidateInit fields. An empty candidate string marks the end of
+// candidates.
+function validateIceCandidate(payload, { maxCandidateLength }) {
+  if (!isObject(payload) || typeof payload.candidate !== "string") {
+    return reject("CANDIDATE_INVALID", "Candidate must be an object");
+  }
+  if (payload.candidate.length > maxCandidateLength) {
+    return reject(
+      "CANDIDATE_TOO_LARGE",
+      `Candidate is longer than ${maxCandidateLength} characters`
+    );
+  }
+  if (payload.candidate && !parseCandidate(payload.candidate)) {
+    return reject("CANDIDATE_INVALID", "Malformed candidate");
+  }
+
+  const sdpMid = payload.sdpMid === undefined ? null : payload.sdpMid;
+  const sdpMLineIndex =
+    payload.sdpMLineIndex === undefined ? null : payload.sdpMLineIndex;
+  const usernameFragment =
+    payload.usernameFragment === undefined ? null : payload.usernameFragment;
+  if (
+    (sdpMid !== null &&
+      (typeof sdpMid !== "string" || sdpMid.length > MAX_SDP_MID_LENGTH)) ||
+    (sdpMLineIndex !== null &&
+      (!Number.isInteger(sdpMLineIndex) ||
+        sdpMLineIndex < 0 ||
+        sdpMLineIndex > MAX_SDP_MLINE_INDEX)) ||
+    (usernameFragment !== null &&
+      (typeof usernameFragment !== "string" ||
+        usernameFragment.length > MAX_USERNAME_FRAGMENT_LENGTH))
+  ) {
+    return reject("CANDIDATE_INVALID", "Invalid candidate fields");
+  }
+  if (payload.candidate && sdpMid === null && sdpMLineIndex === null) {
+    return reject(
+      "CANDIDATE_INVALID",
+      "Candidate needs an sdpMid or sdpMLineIndex"
+    );
+  }
+
+  return {
+    ok: true,
+    candidate: {
+      candidate: payload.candidate,
+      sdpMid,
+      sdpMLineIndex,
+      usernameFragment,
+    },
+  };
+}
+
+module.exports = {
+  parseCandidate,
+  validateSessionDescription,
+  validateIceCandidate,
+};
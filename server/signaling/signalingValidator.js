@@ -0,0 +1,44 @@
+const {
+  validateSessionDescription,
+  validateIceCandidate,
+} = require("./signalingSchema");
+const { createCandidatePolicy } = require("./candidatePolicy");
+
+// Schema check followed by the candidate policy. Both methods resolve to
+// { ok: false, error: { code, message } } or { ok: true, ... } with the
+// copy to relay; a candidate the policy drops comes back as
+// { ok: true, dropped: true }.
+function createSignalingValidator({
+  maxSdpLength = parseInt(process.env.SIGNALING_MAX_SDP_LENGTH) || 32768,
+  maxCandidateLength = 1024,
+  candidatePolicy = createCandidatePolicy(),
+} = {}) {
+  return {
+    iceTransportPolicy: candidatePolicy.iceTransportPolicy,
+
+    validateDescription(payload, kind) {
+      const result = validateSessionDescription(payload, kind, {
+        maxSdpLength,
+      });
+      if (!result.ok) return result;
+      return {
+        ok: true,
+        description: {
+          ...result.description,
+          sdp: candidatePolicy.filterSdp(result.description.sdp),
+        },
+      };
+    },
+
+    validateCandidate(payload) {
+      const result = validateIceCandidate(payload, { maxCandidateLength });
+      if (!result.ok) return result;
+
+      const line = candidatePolicy.filterCandidate(result.candidate.candidate);
+      if (line === null) return { ok: true, dropped: true };
+      return { ok: true, candidate: { ...result.candidate, candidate: line } };
+    },
+  };
+}
+
+module.exports = { createSignalingValidator };
@@ -0,0 +1,155 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const emptyRecords = () => ({
+  blocks: {}, // uid -> { blockedUid: blockedAt }
+  reports: {}, // reportId -> report
+  friends: {}, // uid -> { friendUid: friend }
+  friendRequests: {}, // uid -> { senderUid: request }
+});
+
+// Keeps blocks, reports and friendships in one JSON file, read once and
+// rewritten after every change. Meant for local development: only this
+// process may write.
+class FileRecordStore {
+  constructor({ file }) {
+    this.file = file;
+    this.records = null;
+    this.writes = Promise.resolve();
+  }
+
+  load() {
+    if (!this.records) {
+      this.records = fs
+        .readFile(this.file, "utf8")
+        .then(JSON.parse)
+        .catch((error) => {
+          if (error.code === "ENOENT") return {};
+          throw error;
+        })
+        .then((records) => ({ ...emptyRecords(), ...records }));
+    }
+    return this.records;
+  }
+
+  // Runs changes in order; each returns its result once the file is written
+  update(mutate) {
+    const next = this.writes.then(async () => {
+      const records = await this.load();
+      const result = mutate(records);
+
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const temporary = `${this.file}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(records, null, 2));
+      await fs.rename(temporary, this.file);
+      return result;
+    });
+    this.writes = next.catch(() => {});
+    return next;
+  }
+
+  // Moderation
+
+  async addBlock(uid, blockedUid) {
+    await this.update(({ blocks }) => {
+      blocks[uid] = {
+        ...blocks[uid],
+        [blockedUid]: new Date().toISOString(),
+      };
+    });
+  }
+
+  // A block in either direction counts
+  async isBlockedPair(uid1, uid2) {
+    const { blocks } = await this.load();
+    return Boolean(blocks[uid1]?.[uid2] || blocks[uid2]?.[uid1]);
+  }
+
+  async addReport(report) {
+    await this.update(({ reports }) => {
+      reports[report.id] = { ...report };
+    });
+  }
+
+  async getReport(reportId) {
+    const { reports } = await this.load();
+    return reports[reportId] ? { ...reports[reportId] } : null;
+  }
+
+  // Oldest first
+  async listReports() {
+    const { reports } = await this.load();
+    return Object.values(reports)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map((report) => ({ ...report }));
+  }
+
+  // Applies the patch only while the report is open. Returns the updated
+  // report, or null when nothing changed.
+  async resolveReport(reportId, patch) {
+    return this.update(({ reports }) => {
+      const report = reports[reportId];
+      if (!report || report.status !== "open") return null;
+      Object.assign(report, patch);
+      return { ...report };
+    });
+  }
+
+  // Friends
+
+  async getFriend(uid, friendUid) {
+    const { friends } = await this.load();
+    const friend = friends[uid]?.[friendUid];
+    return friend ? { ...friend } : null;
+  }
+
+  async setFriend(uid, friend) {
+    await this.update(({ friends }) => {
+      friends[uid] = { ...friends[uid], [friend.uid]: { ...friend } };
+    });
+  }
+
+  async deleteFriend(uid, friendUid) {
+    return this.update(({ friends }) => {
+      if (!friends[uid]?.[friendUid]) return false;
+      delete friends[uid][friendUid];
+      return true;
+    });
+  }
+
+  async listFriends(uid) {
+    const { friends } = await this.load();
+    return Object.values(friends[uid] || {}).map((friend) => ({ ...friend }));
+  }
+
+  // Stores request.uid's request to uid unless one is already pending
+  async addFriendRequest(uid, request) {
+    return this.update(({ friendRequests }) => {
+      if (friendRequests[uid]?.[request.uid]) return false;
+      friendRequests[uid] = {
+        ...friendRequests[uid],
+        [request.uid]: { ...request },
+      };
+      return true;
+    });
+  }
+
+  // Removes and returns senderUid's request to uid; only one caller gets it
+  async takeFriendRequest(uid, senderUid) {
+    return this.update(({ friendRequests }) => {
+      const request = friendRequests[uid]?.[senderUid];
+      if (!request) return null;
+      delete friendRequests[uid][senderUid];
+      return request;
+    });
+  }
+
+  async listFriendRequests(uid) {
+    const { friendRequests } = await this.load();
+    return Object.values(friendRequests[uid] || {}).map((request) => ({
+      ...request,
+    }));
+  }
+}
+
+module.exports = FileRecordStore;
@@ -0,0 +1,136 @@
+const { getFirestore } = require("firebase-admin/firestore");
+const { getFirebaseApp } = require("../auth/firebaseAuth");
+
+// Blocks, reports and friendships in Firestore, shared by every instance and
+// kept across restarts. Layout: blocks/{uid}/blocked/{blockedUid},
+// reports/{reportId}, friends/{uid}/list/{friendUid} and
+// friendRequests/{uid}/incoming/{senderUid}. `collectionPrefix` lets several
+// deployments share a project.
+class FirestoreRecordStore {
+  constructor({ collectionPrefix = "" } = {}) {
+    this.db = getFirestore(getFirebaseApp());
+    this.collectionPrefix = collectionPrefix;
+  }
+
+  collection(name) {
+    return this.db.collection(this.collectionPrefix + name);
+  }
+
+  // Moderation
+
+  blockRef(uid, blockedUid) {
+    return this.collection("blocks")
+      .doc(uid)
+      .collection("blocked")
+      .doc(blockedUid);
+  }
+
+  async addBlock(uid, blockedUid) {
+    await this.blockRef(uid, blockedUid).set({
+      uid: blockedUid,
+      blockedAt: new Date().toISOString(),
+    });
+  }
+
+  // A block in either direction counts
+  async isBlockedPair(uid1, uid2) {
+    const blocks = await this.db.getAll(
+      this.blockRef(uid1, uid2),
+      this.blockRef(uid2, uid1)
+    );
+    return blocks.some((block) => block.exists);
+  }
+
+  async addReport(report) {
+    await this.collection("reports").doc(report.id).set(report);
+  }
+
+  async getReport(reportId) {
+    const doc = await this.collection("reports").doc(reportId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // Oldest first
+  async listReports() {
+    const snapshot = await this.collection("reports")
+      .orderBy("createdAt")
+      .get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  // Applies the patch only while the report is open. Returns the updated
+  // report, or null when nothing changed.
+  async resolveReport(reportId, patch) {
+    const ref = this.collection("reports").doc(reportId);
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || doc.data().status !== "open") return null;
+      transaction.update(ref, patch);
+      return { ...doc.data(), ...patch };
+    });
+  }
+
+  // Friends
+
+  friendsOf(uid) {
+    return this.collection("friends").doc(uid).collection("list");
+  }
+
+  requestsTo(uid) {
+    return this.collection("friendRequests").doc(uid).collection("incoming");
+  }
+
+  async getFriend(uid, friendUid) {
+    const doc = await this.friendsOf(uid).doc(friendUid).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async setFriend(uid, friend) {
+    await this.friendsOf(uid).doc(friend.uid).set(friend);
+  }
+
+  async deleteFriend(uid, friendUid) {
+    const ref = this.friendsOf(uid).doc(friendUid);
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return false;
+      transaction.delete(ref);
+      return true;
+    });
+  }
+
+  async listFriends(uid) {
+    const snapshot = await this.friendsOf(uid).get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  // Stores request.uid's request to uid unless one is already pending
+  async addFriendRequest(uid, request) {
+    try {
+      await this.requestsTo(uid).doc(request.uid).create(request);
+      return true;
+    } catch (error) {
+      // ALREADY_EXISTS
+      if (error.code === 6) return false;
+      throw error;
+    }
+  }
+
+  // Removes and returns senderUid's request to uid; only one caller gets it
+  async takeFriendRequest(uid, senderUid) {
+    const ref = this.requestsTo(uid).doc(senderUid);
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+      transaction.delete(ref);
+      return doc.data();
+    });
+  }
+
+  async listFriendRequests(uid) {
+    const snapshot = await this.requestsTo(uid).get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+}
+
+module.exports = FirestoreRecordStore;
@@ -0,0 +1,403 @@
+// Process-local state store. Every method is async so it can be swapped for
+// RedisStateStore without changing callers.
+class MemoryStateStore {
+  constructor() {
+    this.users = new Map(); // mode -> Set of socket ids
+    this.queues = new Map(); // mode -> Map socketId -> entry (FIFO)
+    this.rooms = new Map();
+    this.socketRooms = new Map();
+    this.connectedPeers = new Map(); // roomId -> Set of socket ids
+    this.consents = new Map(); // roomId -> Set of socket ids keeping history
+    this.messages = new Map(); // roomId -> messages
+    this.mediaStates = new Map(); // roomId -> Map socketId -> media state
+    this.expiring = new Map(); // key -> { value, expiresAt }
+    this.blocks = new Map(); // uid -> Set of blocked uids
+    this.reports = new Map(); // report id -> report
+    this.bans = new Map(); // uid -> { ban, expiresAt }
+    this.friends = new Map(); // uid -> Map friendUid -> friend
+    this.friendRequests = new Map(); // uid -> Map senderUid -> request
+  }
+
+  // Online users
+
+  async addUser(mode, socketId) {
+    if (!this.users.has(mode)) {
+      this.users.set(mode, new Set());
+    }
+    this.users.get(mode).add(socketId);
+  }
+
+  async removeUser(mode, socketId) {
+    this.users.get(mode)?.delete(socketId);
+    this.expiring.delete(`last-partner:${socketId}`);
+  }
+
+  async countUsers(mode) {
+    return this.users.get(mode)?.size || 0;
+  }
+
+  // Queue
+
+  getQueue(mode) {
+    if (!this.queues.has(mode)) {
+      this.queues.set(mode, new Map());
+    }
+    return this.queues.get(mode);
+  }
+
+  async enqueue(mode, entry) {
+    const queue = this.getQueue(mode);
+    if (queue.has(entry.socketId)) return false;
+    // A requeued entry keeps its original position
+    queue.set(entry.socketId, {
+      ...entry,
+      queuedAt: entry.queuedAt || Date.now(),
+    });
+    return true;
+  }
+
+  // Only one caller can remove a given entry, which makes claiming atomic
+  async dequeue(mode, socketId) {
+    return this.getQueue(mode).delete(socketId);
+  }
+
+  async isQueued(mode, socketId) {
+    return this.getQueue(mode).has(socketId);
+  }
+
+  async listQueue(mode) {
+    return Array.from(this.getQueue(mode).values()).sort(
+      (a, b) => a.queuedAt - b.queuedAt
+    );
+  }
+
+  // Rooms
+
+  async createRoom(room) {
+    if (
+      this.rooms.has(room.id) ||
+      room.participants.some((id) => this.socketRooms.has(id))
+    ) {
+      return false;
+    }
+    this.rooms.set(room.id, { ...room });
+    room.participants.forEach((id) => this.socketRooms.set(id, room.id));
+    this.connectedPeers.set(room.id, new Set());
+    this.consents.set(room.id, new Set());
+    this.messages.set(room.id, []);
+    this.mediaStates.set(room.id, new Map());
+    return true;
+  }
+
+  async getRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? { ...room } : null;
+  }
+
+  async getRoomIdBySocket(socketId) {
+    return this.socketRooms.get(socketId) || null;
+  }
+
+  async listRooms(mode) {
+    return Array.from(this.rooms.values())
+      .filter((room) => !mode || room.mode === mode)
+      .map((room) => ({ ...room }));
+  }
+
+  // Applies the patch only while the room is in one of allowedStates.
+  // Returns the previous state, or null when nothing changed.
+  async updateRoomState(roomId, allowedStates, patch) {
+    const room = this.rooms.get(roomId);
+    if (!room || !allowedStates.includes(room.state)) return null;
+
+    const previousState = room.state;
+    Object.assign(room, patch);
+    return previousState;
+  }
+
+  async addConnectedPeer(roomId, socketId) {
+    const peers = this.connectedPeers.get(roomId);
+    if (!peers) return [];
+    peers.add(socketId);
+    return Array.from(peers);
+  }
+
+  // Records whether socketId wants to keep the conversation and returns
+  // everyone who currently does
+  async setRoomConsent(roomId, socketId, keep) {
+    const consents = this.consents.get(roomId);
+    if (!consents) return [];
+    if (keep) {
+      consents.add(socketId);
+    } else {
+      consents.delete(socketId);
+    }
+    return Array.from(consents);
+  }
+
+  // Gives oldSocketId's seat in the room to newSocketId
+  async replaceParticipant(roomId, oldSocketId, newSocketId) {
+    const room = this.rooms.get(roomId);
+    if (
+      !room ||
+      this.socketRooms.get(oldSocketId) !== roomId ||
+      this.socketRooms.has(newSocketId)
+    ) {
+      return false;
+    }
+
+    const { [oldSocketId]: profile, ...profiles } = room.profiles;
+    room.participants = room.participants.map((id) =>
+      id === oldSocketId ? newSocketId : id
+    );
+    room.profiles = { ...profiles, [newSocketId]: profile };
+    this.socketRooms.delete(oldSocketId);
+    this.socketRooms.set(newSocketId, roomId);
+
+    [this.connectedPeers.get(roomId), this.consents.get(roomId)].forEach(
+      (ids) => {
+        if (ids && ids.delete(oldSocketId)) ids.add(newSocketId);
+      }
+    );
+    (this.messages.get(roomId) || []).forEach((message) => {
+      if (message.fromId === oldSocketId) message.fromId = newSocketId;
+    });
+    const mediaStates = this.mediaStates.get(roomId);
+    if (mediaStates && mediaStates.has(oldSocketId)) {
+      mediaStates.set(newSocketId, mediaStates.get(oldSocketId));
+      mediaStates.delete(oldSocketId);
+    }
+    return true;
+  }
+
+  // Seats socketId in a room holding fewer than maxParticipants. Returns
+  // { ok: true } or { ok: false, reason: "not-found" | "full" | "in-room" }.
+  async addParticipant(roomId, socketId, profile, maxParticipants) {
+    const room = this.rooms.get(roomId);
+    if (!room) return { ok: false, reason: "not-found" };
+    if (room.participants.length >= maxParticipants) {
+      return { ok: false, reason: "full" };
+    }
+    if (this.socketRooms.has(socketId)) return { ok: false, reason: "in-room" };
+
+    room.participants = [...room.participants, socketId];
+    room.profiles = {
+      ...room.profiles,
+      [socketId]: room.profiles[socketId] || profile,
+    };
+    this.socketRooms.set(socketId, roomId);
+    return { ok: true };
+  }
+
+  // Takes socketId out of a room. Its profile stays so messages it sent
+  // still name the sender. Returns the remaining participants, or null when
+  // socketId was not in the room.
+  async removeParticipant(roomId, socketId) {
+    const room = this.rooms.get(roomId);
+    if (!room || this.socketRooms.get(socketId) !== roomId) return null;
+
+    room.participants = room.participants.filter((id) => id !== socketId);
+    this.socketRooms.delete(socketId);
+    [
+      this.connectedPeers.get(roomId),
+      this.consents.get(roomId),
+      this.mediaStates.get(roomId),
+    ].forEach((ids) => ids && ids.delete(socketId));
+    return [...room.participants];
+  }
+
+  async deleteRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+
+    this.rooms.delete(roomId);
+    room.participants.forEach((id) => {
+      if (this.socketRooms.get(id) === roomId) {
+        this.socketRooms.delete(id);
+      }
+    });
+    this.connectedPeers.delete(roomId);
+    this.consents.delete(roomId);
+    this.messages.delete(roomId);
+    this.mediaStates.delete(roomId);
+    return true;
+  }
+
+  // Stores socketId's media state while it is in the room and returns
+  // everyone's, keyed by socket id, or null when it is not
+  async setMediaState(roomId, socketId, state) {
+    const mediaStates = this.mediaStates.get(roomId);
+    if (!mediaStates || this.socketRooms.get(socketId) !== roomId) return null;
+    mediaStates.set(socketId, { ...state });
+    return Object.fromEntries(mediaStates);
+  }
+
+  async getMediaStates(roomId) {
+    return Object.fromEntries(this.mediaStates.get(roomId) || []);
+  }
+
+  async appendMessage(roomId, message, limit) {
+    const messages = this.messages.get(roomId);
+    if (!messages) return false;
+    messages.push(message);
+    if (messages.length > limit) {
+      messages.splice(0, messages.length - limit);
+    }
+    return true;
+  }
+
+  async getMessages(roomId) {
+    return [...(this.messages.get(roomId) || [])];
+  }
+
+  // Moderation
+
+  async addBlock(uid, blockedUid) {
+    if (!this.blocks.has(uid)) {
+      this.blocks.set(uid, new Set());
+    }
+    this.blocks.get(uid).add(blockedUid);
+  }
+
+  // A block in either direction counts
+  async isBlockedPair(uid1, uid2) {
+    return Boolean(
+      this.blocks.get(uid1)?.has(uid2) || this.blocks.get(uid2)?.has(uid1)
+    );
+  }
+
+  async addReport(report) {
+    this.reports.set(report.id, { ...report });
+  }
+
+  async getReport(reportId) {
+    const report = this.reports.get(reportId);
+    return report ? { ...report } : null;
+  }
+
+  // Oldest first
+  async listReports() {
+    return Array.from(this.reports.values()).map((report) => ({ ...report }));
+  }
+
+  // Applies the patch only while the report is open. Returns the updated
+  // report, or null when nothing changed.
+  async resolveReport(reportId, patch) {
+    const report = this.reports.get(reportId);
+    if (!report || report.status !== "open") return null;
+    Object.assign(report, patch);
+    return { ...report };
+  }
+
+  // ttlMs null keeps the ban until it is deleted
+  async setBan(ban, ttlMs) {
+    this.bans.set(ban.uid, {
+      ban: { ...ban },
+      expiresAt: ttlMs ? Date.now() + ttlMs : Infinity,
+    });
+  }
+
+  async getBan(uid) {
+    const item = this.bans.get(uid);
+    if (!item) return null;
+    if (item.expiresAt <= Date.now()) {
+      this.bans.delete(uid);
+      return null;
+    }
+    return { ...item.ban };
+  }
+
+  async listBans() {
+    const bans = await Promise.all(
+      Array.from(this.bans.keys()).map((uid) => this.getBan(uid))
+    );
+    return bans.filter(Boolean);
+  }
+
+  async deleteBan(uid) {
+    return Boolean(await this.getBan(uid)) && this.bans.delete(uid);
+  }
+
+  // Friends
+
+  async getFriend(uid, friendUid) {
+    const friend = this.friends.get(uid)?.get(friendUid);
+    return friend ? { ...friend } : null;
+  }
+
+  async setFriend(uid, friend) {
+    if (!this.friends.has(uid)) {
+      this.friends.set(uid, new Map());
+    }
+    this.friends.get(uid).set(friend.uid, { ...friend });
+  }
+
+  async deleteFriend(uid, friendUid) {
+    return Boolean(this.friends.get(uid)?.delete(friendUid));
+  }
+
+  async listFriends(uid) {
+    return Array.from(this.friends.get(uid)?.values() || []).map((friend) => ({
+      ...friend,
+    }));
+  }
+
+  // Stores request.uid's request to uid unless one is already pending
+  async addFriendRequest(uid, request) {
+    if (!this.friendRequests.has(uid)) {
+      this.friendRequests.set(uid, new Map());
+    }
+    const incoming = this.friendRequests.get(uid);
+    if (incoming.has(request.uid)) return false;
+    incoming.set(request.uid, { ...request });
+    return true;
+  }
+
+  // Removes and returns senderUid's request to uid; only one caller gets it
+  async takeFriendRequest(uid, senderUid) {
+    const incoming = this.friendRequests.get(uid);
+    const request = incoming?.get(senderUid);
+    if (!request) return null;
+    incoming.delete(senderUid);
+    return request;
+  }
+
+  async listFriendRequests(uid) {
+    return Array.from(this.friendRequests.get(uid)?.values() || []).map(
+      (request) => ({ ...request })
+    );
+  }
+
+  // Short-lived values
+
+  async setExpiring(key, value, ttlMs) {
+    if (this.expiring.size > 1000) {
+      const now = Date.now();
+      this.expiring.forEach((item, itemKey) => {
+        if (item.expiresAt <= now) this.expiring.delete(itemKey);
+      });
+    }
+    this.expiring.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async getExpiring(key) {
+    const item = this.expiring.get(key);
+    if (!item) return null;
+    if (item.expiresAt <= Date.now()) {
+      this.expiring.delete(key);
+      return null;
+    }
+    return item.value;
+  }
+
+  // Removes a value; only one caller gets true, which makes it a claim
+  async deleteExpiring(key) {
+    const item = this.expiring.get(key);
+    this.expiring.delete(key);
+    return Boolean(item) && item.expiresAt > Date.now();
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStateStore;
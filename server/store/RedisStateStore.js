@@ -0,0 +1,696 @@
+// Shared state store for running several instances. Works with any
+// Redis-compatible server through an ioredis client.
+
+const crypto = require("crypto");
+const { logger } = require("../logging/logger");
+
+// How long an instance counts as alive after its last heartbeat
+const DEFAULT_INSTANCE_TTL_MS = 30 * 1000;
+
+// Sets the given hash fields only while `state` is one of the allowed values.
+// ARGV: allowedCount, ...allowedStates, ...field/value pairs
+const UPDATE_ROOM_STATE_SCRIPT = `
+local state = redis.call("HGET", KEYS[1], "state")
+if not state then return nil end
+local allowedCount = tonumber(ARGV[1])
+local allowed = false
+for i = 2, allowedCount + 1 do
+  if ARGV[i] == state then allowed = true end
+end
+if not allowed then return nil end
+for i = allowedCount + 2, #ARGV, 2 do
+  redis.call("HSET", KEYS[1], ARGV[i], ARGV[i + 1])
+end
+return state
+`;
+
+// Creates room ARGV[1] and claims a socket-room key for each participant,
+// all or nothing, so no socket sits in two rooms and no reader sees a
+// half-written room. ARGV: roomId, ...field/value pairs.
+// KEYS: room, rooms, ...socket-room
+const CREATE_ROOM_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 1 then return 0 end
+for i = 3, #KEYS do
+  if redis.call("EXISTS", KEYS[i]) == 1 then return 0 end
+end
+for i = 3, #KEYS do
+  redis.call("SET", KEYS[i], ARGV[1])
+end
+for i = 2, #ARGV, 2 do
+  redis.call("HSET", KEYS[1], ARGV[i], ARGV[i + 1])
+end
+redis.call("SADD", KEYS[2], ARGV[1])
+return 1
+`;
+
+// Moves a room seat from ARGV[1] to ARGV[2] in the participants and
+// profiles JSON, the message senders, the peer/consent sets and the media
+// states. Socket ids are matched as quoted JSON strings, so cjson is not
+// needed.
+// KEYS: room, room-messages, room-peers, room-consent, room-media
+const REPLACE_PARTICIPANT_SCRIPT = `
+local function replace(value, old, new)
+  local i, j = string.find(value, old, 1, true)
+  if not i then return nil end
+  return string.sub(value, 1, i - 1) .. new .. string.sub(value, j + 1)
+end
+local oldId = '"' .. ARGV[1] .. '"'
+local newId = '"' .. ARGV[2] .. '"'
+local participants = redis.call("HGET", KEYS[1], "participants")
+local profiles = redis.call("HGET", KEYS[1], "profiles")
+if not participants or not profiles then return 0 end
+participants = replace(participants, oldId, newId)
+profiles = replace(profiles, oldId, newId)
+if not participants or not profiles then return 0 end
+redis.call("HSET", KEYS[1], "participants", participants, "profiles", profiles)
+local messages = redis.call("LRANGE", KEYS[2], 0, -1)
+for index, message in ipairs(messages) do
+  local updated = replace(message, '"fromId":' .. oldId, '"fromId":' .. newId)
+  if updated then redis.call("LSET", KEYS[2], index - 1, updated) end
+end
+if redis.call("SREM", KEYS[3], ARGV[1]) == 1 then
+  redis.call("SADD", KEYS[3], ARGV[2])
+end
+if redis.call("SREM", KEYS[4], ARGV[1]) == 1 then
+  redis.call("SADD", KEYS[4], ARGV[2])
+end
+local media = redis.call("HGET", KEYS[5], ARGV[1])
+if media then
+  redis.call("HDEL", KEYS[5], ARGV[1])
+  redis.call("HSET", KEYS[5], ARGV[2], media)
+end
+return 1
+`;
+
+// Appends ARGV[1] to the participants while there are fewer than ARGV[3],
+// claiming its socket-room key (ARGV[2] is the room id). The profile JSON in
+// ARGV[4] is added unless the socket already has one.
+// KEYS: room, socket-room. Returns 1, or 0 / -1 / -2 for missing / full /
+// already in a room.
+const ADD_PARTICIPANT_SCRIPT = `
+local participants = redis.call("HGET", KEYS[1], "participants")
+if not participants then return 0 end
+local ids = {}
+for id in string.gmatch(participants, '"([^"]+)"') do table.insert(ids, id) end
+if #ids >= tonumber(ARGV[3]) then return -1 end
+if not redis.call("SET", KEYS[2], ARGV[2], "NX") then return -2 end
+table.insert(ids, ARGV[1])
+redis.call("HSET", KEYS[1], "participants", '["' .. table.concat(ids, '","') .. '"]')
+local profiles = redis.call("HGET", KEYS[1], "profiles")
+if not string.find(profiles, '"' .. ARGV[1] .. '":', 1, true) then
+  local separator = profiles == "{}" and "" or ","
+  profiles = string.sub(profiles, 1, -2) .. separator .. '"' .. ARGV[1] .. '":' .. ARGV[4] .. "}"
+  redis.call("HSET", KEYS[1], "profiles", profiles)
+end
+return 1
+`;
+
+// Drops ARGV[1] from the participants, peer/consent sets and media states
+// of room ARGV[2] and releases its socket-room key. Returns the number of
+// participants left, or -1 when the socket was not in the room.
+// KEYS: room, socket-room, room-peers, room-consent, room-media
+const REMOVE_PARTICIPANT_SCRIPT = `
+if redis.call("GET", KEYS[2]) ~= ARGV[2] then return -1 end
+local participants = redis.call("HGET", KEYS[1], "participants")
+if not participants then return -1 end
+local ids = {}
+for id in string.gmatch(participants, '"([^"]+)"') do
+  if id ~= ARGV[1] then table.insert(ids, id) end
+end
+local value = #ids == 0 and "[]" or '["' .. table.concat(ids, '","') .. '"]'
+redis.call("HSET", KEYS[1], "participants", value)
+redis.call("DEL", KEYS[2])
+redis.call("SREM", KEYS[3], ARGV[1])
+redis.call("SREM", KEYS[4], ARGV[1])
+redis.call("HDEL", KEYS[5], ARGV[1])
+return #ids
+`;
+
+// Stores the media state JSON in ARGV[3] for socket ARGV[1] while its
+// socket-room key still names room ARGV[2], so a closed room is not
+// recreated. Returns every state in the room as a flat field/value list.
+// KEYS: socket-room, room-media
+const SET_MEDIA_STATE_SCRIPT = `
+if redis.call("GET", KEYS[1]) ~= ARGV[2] then return nil end
+redis.call("HSET", KEYS[2], ARGV[1], ARGV[3])
+return redis.call("HGETALL", KEYS[2])
+`;
+
+// Sets the given hash fields only while the report is still open.
+// ARGV: ...field/value pairs
+const RESOLVE_REPORT_SCRIPT = `
+if redis.call("HGET", KEYS[1], "status") ~= "open" then return 0 end
+for i = 1, #ARGV, 2 do
+  redis.call("HSET", KEYS[1], ARGV[i], ARGV[i + 1])
+end
+return 1
+`;
+
+const ADD_PARTICIPANT_ERRORS = {
+  0: "not-found",
+  "-1": "full",
+  "-2": "in-room",
+};
+
+const JSON_ROOM_FIELDS = ["participants", "profiles"];
+const JSON_REPORT_FIELDS = ["messages"];
+
+// Hash fields are strings: `jsonFields` hold JSON and "" stands for null
+function serializeHash(value, jsonFields) {
+  const fields = {};
+  Object.entries(value).forEach(([key, field]) => {
+    fields[key] = jsonFields.includes(key)
+      ? JSON.stringify(field)
+      : field === null || field === undefined
+      ? ""
+      : String(field);
+  });
+  return fields;
+}
+
+function deserializeHash(fields, jsonFields) {
+  if (!fields || !fields.id) return null;
+  const value = {};
+  Object.entries(fields).forEach(([key, field]) => {
+    value[key] = jsonFields.includes(key)
+      ? JSON.parse(field)
+      : field === ""
+      ? null
+      : field;
+  });
+  return value;
+}
+
+function serializeRoom(room) {
+  return serializeHash(room, JSON_ROOM_FIELDS);
+}
+
+function deserializeRoom(fields) {
+  return deserializeHash(fields, JSON_ROOM_FIELDS);
+}
+
+class RedisStateStore {
+  constructor({
+    client,
+    keyPrefix = "guffgaff:",
+    instanceId = crypto.randomBytes(8).toString("hex"),
+    instanceTtl = DEFAULT_INSTANCE_TTL_MS,
+  }) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+    this.instanceId = instanceId;
+    this.instanceTtl = instanceTtl;
+    this.heartbeatCount = 0;
+
+    const beat = () =>
+      this.heartbeat().catch((error) => {
+        logger.error("State store heartbeat failed", { error });
+      });
+    beat();
+    this.heartbeatTimer = setInterval(beat, instanceTtl / 3);
+    this.heartbeatTimer.unref();
+  }
+
+  key(...parts) {
+    return this.keyPrefix + parts.join(":");
+  }
+
+  // Instances
+
+  // Keeps this instance's key alive and prunes instances whose key expired
+  async heartbeat() {
+    const [[, existed]] = await this.client
+      .multi()
+      .exists(this.key("instance", this.instanceId))
+      .set(this.key("instance", this.instanceId), "1", "PX", this.instanceTtl)
+      .sadd(this.key("instances"), this.instanceId)
+      .exec();
+    if (!existed && this.heartbeatCount > 0) {
+      // Another instance may have pruned this one's users meanwhile
+      logger.warn("State store heartbeat lapsed", {
+        instanceId: this.instanceId,
+      });
+    }
+    this.heartbeatCount++;
+    await this.pruneDeadInstances();
+  }
+
+  // Users and queue entries are tracked per instance, so those of a crashed
+  // instance can be dropped instead of counting as online forever
+  async pruneDeadInstances() {
+    const instanceIds = await this.client.smembers(this.key("instances"));
+    if (instanceIds.length === 0) return;
+
+    const alive = await this.client.mget(
+      instanceIds.map((instanceId) => this.key("instance", instanceId))
+    );
+    const dead = instanceIds.filter((instanceId, index) => !alive[index]);
+    for (const instanceId of dead) {
+      const members = await this.client.smembers(
+        this.key("instance-users", instanceId)
+      );
+      const multi = this.client.multi();
+      members.forEach((member) => {
+        const separator = member.indexOf(":");
+        const mode = member.slice(0, separator);
+        const socketId = member.slice(separator + 1);
+        multi
+          .srem(this.key("users", mode), socketId)
+          .zrem(this.key("queue", mode), socketId)
+          .del(this.key("queue-entry", socketId))
+          .del(this.key("last-partner", socketId));
+      });
+      await multi
+        .del(this.key("instance-users", instanceId))
+        .srem(this.key("instances"), instanceId)
+        .exec();
+      logger.info("Pruned a dead instance", {
+        instanceId,
+        users: members.length,
+      });
+    }
+  }
+
+  // Online users
+
+  async addUser(mode, socketId) {
+    await this.client
+      .multi()
+      .sadd(this.key("users", mode), socketId)
+      .sadd(this.key("instance-users", this.instanceId), `${mode}:${socketId}`)
+      .exec();
+  }
+
+  async removeUser(mode, socketId) {
+    await this.client
+      .multi()
+      .srem(this.key("users", mode), socketId)
+      .srem(this.key("instance-users", this.instanceId), `${mode}:${socketId}`)
+      .del(this.key("last-partner", socketId))
+      .exec();
+  }
+
+  async countUsers(mode) {
+    return this.client.scard(this.key("users", mode));
+  }
+
+  // Queue: a sorted set for order plus one JSON entry per socket
+
+  async enqueue(mode, entry) {
+    // A requeued entry keeps its original position
+    const queuedAt = entry.queuedAt || Date.now();
+    const added = await this.client.zadd(
+      this.key("queue", mode),
+      "NX",
+      queuedAt,
+      entry.socketId
+    );
+    if (!added) return false;
+    await this.client.set(
+      this.key("queue-entry", entry.socketId),
+      JSON.stringify({ ...entry, queuedAt })
+    );
+    return true;
+  }
+
+  // ZREM succeeds for exactly one caller, so claiming is atomic across nodes
+  async dequeue(mode, socketId) {
+    const removed = await this.client.zrem(this.key("queue", mode), socketId);
+    if (!removed) return false;
+    await this.client.del(this.key("queue-entry", socketId));
+    return true;
+  }
+
+  async isQueued(mode, socketId) {
+    const score = await this.client.zscore(this.key("queue", mode), socketId);
+    return score !== null && score !== undefined;
+  }
+
+  async listQueue(mode) {
+    const socketIds = await this.client.zrange(this.key("queue", mode), 0, -1);
+    if (socketIds.length === 0) return [];
+
+    const entries = await this.client.mget(
+      socketIds.map((socketId) => this.key("queue-entry", socketId))
+    );
+    return entries.filter(Boolean).map((entry) => JSON.parse(entry));
+  }
+
+  // Rooms
+
+  async createRoom(room) {
+    const created = await this.client.eval(
+      CREATE_ROOM_SCRIPT,
+      2 + room.participants.length,
+      this.key("room", room.id),
+      this.key("rooms", room.mode),
+      ...room.participants.map((socketId) => this.key("socket-room", socketId)),
+      room.id,
+      ...Object.entries(serializeRoom(room)).flat()
+    );
+    return created === 1;
+  }
+
+  async getRoom(roomId) {
+    return deserializeRoom(await this.client.hgetall(this.key("room", roomId)));
+  }
+
+  async getRoomIdBySocket(socketId) {
+    return this.client.get(this.key("socket-room", socketId));
+  }
+
+  async listRooms(mode) {
+    const roomIds = await this.client.smembers(this.key("rooms", mode));
+    const rooms = await Promise.all(roomIds.map((id) => this.getRoom(id)));
+    return rooms.filter(Boolean);
+  }
+
+  async updateRoomState(roomId, allowedStates, patch) {
+    const fields = serializeRoom(patch);
+    const previousState = await this.client.eval(
+      UPDATE_ROOM_STATE_SCRIPT,
+      1,
+      this.key("room", roomId),
+      allowedStates.length,
+      ...allowedStates,
+      ...Object.entries(fields).flat()
+    );
+    return previousState || null;
+  }
+
+  async addConnectedPeer(roomId, socketId) {
+    const key = this.key("room-peers", roomId);
+    const [, [, peers]] = await this.client
+      .multi()
+      .sadd(key, socketId)
+      .smembers(key)
+      .exec();
+    return peers;
+  }
+
+  async setRoomConsent(roomId, socketId, keep) {
+    const key = this.key("room-consent", roomId);
+    const [, [, consents]] = await this.client
+      .multi()
+      [keep ? "sadd" : "srem"](key, socketId)
+      .smembers(key)
+      .exec();
+    return consents;
+  }
+
+  // Gives oldSocketId's seat to newSocketId. Deleting the old socket mapping
+  // is the claim, so only one caller can take over a seat.
+  async replaceParticipant(roomId, oldSocketId, newSocketId) {
+    const oldKey = this.key("socket-room", oldSocketId);
+    const newKey = this.key("socket-room", newSocketId);
+    if ((await this.client.get(oldKey)) !== roomId) return false;
+    if (!(await this.client.set(newKey, roomId, "NX"))) return false;
+    if (!(await this.client.del(oldKey))) {
+      await this.client.del(newKey);
+      return false;
+    }
+
+    const replaced = await this.client.eval(
+      REPLACE_PARTICIPANT_SCRIPT,
+      5,
+      this.key("room", roomId),
+      this.key("room-messages", roomId),
+      this.key("room-peers", roomId),
+      this.key("room-consent", roomId),
+      this.key("room-media", roomId),
+      oldSocketId,
+      newSocketId
+    );
+    if (!replaced) {
+      await this.client.del(newKey);
+      return false;
+    }
+    return true;
+  }
+
+  async addParticipant(roomId, socketId, profile, maxParticipants) {
+    const result = await this.client.eval(
+      ADD_PARTICIPANT_SCRIPT,
+      2,
+      this.key("room", roomId),
+      this.key("socket-room", socketId),
+      socketId,
+      roomId,
+      maxParticipants,
+      JSON.stringify(profile)
+    );
+    return result === 1
+      ? { ok: true }
+      : { ok: false, reason: ADD_PARTICIPANT_ERRORS[result] };
+  }
+
+  async removeParticipant(roomId, socketId) {
+    const remaining = await this.client.eval(
+      REMOVE_PARTICIPANT_SCRIPT,
+      5,
+      this.key("room", roomId),
+      this.key("socket-room", socketId),
+      this.key("room-peers", roomId),
+      this.key("room-consent", roomId),
+      this.key("room-media", roomId),
+      socketId,
+      roomId
+    );
+    if (remaining < 0) return null;
+    return (await this.getRoom(roomId))?.participants || [];
+  }
+
+  // DEL reports the room only once, so exactly one caller tears it down
+  async deleteRoom(roomId) {
+    const room = await this.getRoom(roomId);
+    const deleted = await this.client.del(this.key("room", roomId));
+    if (!deleted) return false;
+
+    const cleanup = this.client
+      .multi()
+      .srem(this.key("rooms", room.mode), roomId)
+      .del(this.key("room-peers", roomId))
+      .del(this.key("room-consent", roomId))
+      .del(this.key("room-messages", roomId))
+      .del(this.key("room-media", roomId));
+    room.participants.forEach((socketId) => {
+      cleanup.del(this.key("socket-room", socketId));
+    });
+    await cleanup.exec();
+    return true;
+  }
+
+  async setMediaState(roomId, socketId, state) {
+    const fields = await this.client.eval(
+      SET_MEDIA_STATE_SCRIPT,
+      2,
+      this.key("socket-room", socketId),
+      this.key("room-media", roomId),
+      socketId,
+      roomId,
+      JSON.stringify(state)
+    );
+    if (!fields) return null;
+
+    const states = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      states[fields[i]] = JSON.parse(fields[i + 1]);
+    }
+    return states;
+  }
+
+  async getMediaStates(roomId) {
+    const fields = await this.client.hgetall(this.key("room-media", roomId));
+    const states = {};
+    Object.entries(fields || {}).forEach(([socketId, value]) => {
+      states[socketId] = JSON.parse(value);
+    });
+    return states;
+  }
+
+  async appendMessage(roomId, message, limit) {
+    const key = this.key("room-messages", roomId);
+    await this.client
+      .multi()
+      .rpush(key, JSON.stringify(message))
+      .ltrim(key, -limit, -1)
+      .exec();
+    return true;
+  }
+
+  async getMessages(roomId) {
+    const messages = await this.client.lrange(
+      this.key("room-messages", roomId),
+      0,
+      -1
+    );
+    return messages.map((message) => JSON.parse(message));
+  }
+
+  // Moderation: a set of blocked uids per uid, and one hash per report
+  // indexed by a sorted set in filing order
+
+  async addBlock(uid, blockedUid) {
+    await this.client.sadd(this.key("blocks", uid), blockedUid);
+  }
+
+  async isBlockedPair(uid1, uid2) {
+    const [[, blocked], [, blockedBy]] = await this.client
+      .multi()
+      .sismember(this.key("blocks", uid1), uid2)
+      .sismember(this.key("blocks", uid2), uid1)
+      .exec();
+    return blocked === 1 || blockedBy === 1;
+  }
+
+  async addReport(report) {
+    await this.client
+      .multi()
+      .hset(
+        this.key("report", report.id),
+        serializeHash(report, JSON_REPORT_FIELDS)
+      )
+      .zadd(this.key("reports"), Date.parse(report.createdAt), report.id)
+      .exec();
+  }
+
+  async getReport(reportId) {
+    return deserializeHash(
+      await this.client.hgetall(this.key("report", reportId)),
+      JSON_REPORT_FIELDS
+    );
+  }
+
+  async listReports() {
+    const reportIds = await this.client.zrange(this.key("reports"), 0, -1);
+    const reports = await Promise.all(
+      reportIds.map((id) => this.getReport(id))
+    );
+    return reports.filter(Boolean);
+  }
+
+  async resolveReport(reportId, patch) {
+    const resolved = await this.client.eval(
+      RESOLVE_REPORT_SCRIPT,
+      1,
+      this.key("report", reportId),
+      ...Object.entries(serializeHash(patch, JSON_REPORT_FIELDS)).flat()
+    );
+    return resolved === 1 ? this.getReport(reportId) : null;
+  }
+
+  // Bans: one JSON key per uid, expiring with the ban, and a set of banned
+  // uids for listing
+
+  async setBan(ban, ttlMs) {
+    const key = this.key("ban", ban.uid);
+    const write = this.client.multi();
+    if (ttlMs) {
+      write.set(key, JSON.stringify(ban), "PX", ttlMs);
+    } else {
+      write.set(key, JSON.stringify(ban));
+    }
+    await write.sadd(this.key("bans"), ban.uid).exec();
+  }
+
+  async getBan(uid) {
+    const ban = await this.client.get(this.key("ban", uid));
+    return ban ? JSON.parse(ban) : null;
+  }
+
+  // Also forgets uids whose ban has expired
+  async listBans() {
+    const uids = await this.client.smembers(this.key("bans"));
+    if (uids.length === 0) return [];
+
+    const bans = await this.client.mget(
+      uids.map((uid) => this.key("ban", uid))
+    );
+    const expired = uids.filter((uid, index) => !bans[index]);
+    if (expired.length > 0) {
+      await this.client.srem(this.key("bans"), ...expired);
+    }
+    return bans.filter(Boolean).map((ban) => JSON.parse(ban));
+  }
+
+  async deleteBan(uid) {
+    const [[, deleted]] = await this.client
+      .multi()
+      .del(this.key("ban", uid))
+      .srem(this.key("bans"), uid)
+      .exec();
+    return deleted === 1;
+  }
+
+  // Friends: per uid, a hash of friend entries and a hash of incoming
+  // requests, both keyed by the other uid and holding JSON
+
+  async getFriend(uid, friendUid) {
+    const friend = await this.client.hget(this.key("friends", uid), friendUid);
+    return friend ? JSON.parse(friend) : null;
+  }
+
+  async setFriend(uid, friend) {
+    await this.client.hset(
+      this.key("friends", uid),
+      friend.uid,
+      JSON.stringify(friend)
+    );
+  }
+
+  async deleteFriend(uid, friendUid) {
+    return (await this.client.hdel(this.key("friends", uid), friendUid)) === 1;
+  }
+
+  async listFriends(uid) {
+    const friends = await this.client.hvals(this.key("friends", uid));
+    return friends.map((friend) => JSON.parse(friend));
+  }
+
+  async addFriendRequest(uid, request) {
+    const added = await this.client.hsetnx(
+      this.key("friend-requests", uid),
+      request.uid,
+      JSON.stringify(request)
+    );
+    return added === 1;
+  }
+
+  // HDEL succeeds for exactly one caller, so a request is taken once
+  async takeFriendRequest(uid, senderUid) {
+    const key = this.key("friend-requests", uid);
+    const [[, request], [, deleted]] = await this.client
+      .multi()
+      .hget(key, senderUid)
+      .hdel(key, senderUid)
+      .exec();
+    return deleted === 1 ? JSON.parse(request) : null;
+  }
+
+  async listFriendRequests(uid) {
+    const requests = await this.client.hvals(this.key("friend-requests", uid));
+    return requests.map((request) => JSON.parse(request));
+  }
+
+  // Short-lived values
+
+  async setExpiring(key, value, ttlMs) {
+    await this.client.set(this.key(key), JSON.stringify(value), "PX", ttlMs);
+  }
+
+  async getExpiring(key) {
+    const value = await this.client.get(this.key(key));
+    return value === null || value === undefined ? null : JSON.parse(value);
+  }
+
+  async deleteExpiring(key) {
+    return (await this.client.del(this.key(key))) === 1;
+  }
+
+  async close() {
+    clearInterval(this.heartbeatTimer);
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStateStore;
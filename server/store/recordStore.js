@@ -0,0 +1,33 @@
+const path = require("path");
+const MemoryStateStore = require("./MemoryStateStore");
+const { logger } = require("../logging/logger");
+
+// Blocks, reports and friendships must outlast restarts. RECORD_STORE=firestore
+// keeps them in Firestore; RECORD_STORE=file writes them to RECORD_FILE for
+// local development. Unset leaves them in `stateStore`, which only keeps
+// them across restarts when it is Redis.
+function createRecordStore(stateStore) {
+  switch (process.env.RECORD_STORE) {
+    case "firestore": {
+      const FirestoreRecordStore = require("./FirestoreRecordStore");
+      return new FirestoreRecordStore({
+        collectionPrefix: process.env.RECORD_COLLECTION_PREFIX || "",
+      });
+    }
+    case "file": {
+      const FileRecordStore = require("./FileRecordStore");
+      return new FileRecordStore({
+        file: path.resolve(process.env.RECORD_FILE || "data/records.json"),
+      });
+    }
+    default:
+      if (stateStore instanceof MemoryStateStore) {
+        logger.warn(
+          "Blocks, reports and friendships are kept in memory and lost on restart; set RECORD_STORE to keep them"
+        );
+      }
+      return stateStore;
+  }
+}
+
+module.exports = { createRecordStore };
@@ -0,0 +1,37 @@
+const MemoryStateStore = require("./MemoryStateStore");
+const RedisStateStore = require("./RedisStateStore");
+const { logger } = require("../logging/logger");
+
+// STATE_STORE=redis shares queue and room state through REDIS_URL so several
+// instances can run behind a load balancer; the default keeps it in memory.
+function createStateStore() {
+  if ((process.env.STATE_STORE || "memory") !== "redis") {
+    return new MemoryStateStore();
+  }
+
+  const Redis = require("ioredis");
+  const client = new Redis(process.env.REDIS_URL || "redis://localhost:6379");
+  client.on("error", (error) => {
+    logger.error("Redis error", { error });
+  });
+
+  return new RedisStateStore({
+    client,
+    keyPrefix: process.env.REDIS_KEY_PREFIX || "guffgaff:",
+  });
+}
+
+// Socket.IO adapter so io.to(socketId) reaches sockets on other instances.
+// Each server gets its own channel since both use the default namespace.
+function createSocketAdapter(stateStore, name) {
+  if (!(stateStore instanceof RedisStateStore)) return null;
+
+  const { createAdapter } = require("@socket.io/redis-adapter");
+  const pubClient = stateStore.client.duplicate();
+  const subClient = stateStore.client.duplicate();
+  return createAdapter(pubClient, subClient, {
+    key: `${stateStore.keyPrefix}socket.io:${name}`,
+  });
+}
+
+module.exports = { createStateStore, createSocketAdapter };
@@ -1,8 +1,60 @@
-const express = require("express");
+const crypto = require("crypto");
 const { Server } = require("socket.io");
-const TextChatConnectionManager = require("./ConnectionManager");
+const {
+  MatchmakingCore,
+  ROOM_STATES,
+} = require("../matchmaking/MatchmakingCore");
+const {
+  registerMatchmakingHandlers,
+  handleAsync,
+  throttleAsync,
+  STATS_BROADCAST_INTERVAL_MS,
+  acknowledge,
+  rejectChatMessage,
+  userRoom,
+} = require("../matchmaking/socketHandlers");
+const {
+  createFirebaseTokenVerifier,
+  createSocketAuthMiddleware,
+} = require("../auth/firebaseAuth");
+const { createSocketAdapter } = require("../store/stateStore");
+const MemoryStateStore = require("../store/MemoryStateStore");
+const { createMessageValidator } = require("../chat/messageValidator");
+const SocketRateLimiter = require("../rateLimit/SocketRateLimiter");
+const {
+  createSocketBanMiddleware,
+} = require("../moderation/socketBanMiddleware");
+const { registerInviteHandlers } = require("../invites/inviteHandlers");
+const {
+  createSocketDrainMiddleware,
+} = require("../lifecycle/gracefulShutdown");
+const { logger, bindSocketLogger } = require("../logging/logger");
+
+// At most one "typing" relay per socket in this window
+const TYPING_THROTTLE_MS = 2000;
+// How long the recipient has to acknowledge a chat-message
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_READ_RECEIPT_IDS = 100;
+
+const NO_ACTIVE_MATCH = {
+  code: "NO_ACTIVE_MATCH",
+  message: "No active match",
+};
+
+function setupTextChatServer(
+  server,
+  {
+    verifyToken = createFirebaseTokenVerifier(),
+    stateStore = new MemoryStateStore(),
+    moderationStore = null,
+    historyStore = null,
+    messageValidator = createMessageValidator(),
+    rateLimiter = new SocketRateLimiter({ store: stateStore }),
+    metrics = null,
+  } = {}
+) {
+  const log = logger.child({ transport: "text" });
 
-function setupTextChatServer(server) {
   const io = new Server(server, {
     path: "/text-chat",
     cors: {
@@ -15,107 +67,247 @@ function setupTextChatServer(server) {
     transports: ["websocket"],
   });
 
-  const connectionManager = new TextChatConnectionManager();
+  const adapter = createSocketAdapter(stateStore, "text");
+  if (adapter) {
+    io.adapter(adapter);
+  }
 
-  io.on("connection", async (socket) => {
-    console.log(`[TextChat] New connection: ${socket.id}`);
+  const core = new MatchmakingCore({
+    mode: "text",
+    store: stateStore,
+    moderationStore,
+    historyStore,
+  });
+  if (metrics) {
+    metrics.instrumentCore(core, "text");
+  }
 
-    try {
-      const userData = {
-        socketId: socket.id,
-        firestoreId: socket.handshake.query.firestoreId,
-        userName: socket.handshake.query.userName,
-        userPhoto: socket.handshake.query.userPhoto,
-      };
+  io.use(createSocketDrainMiddleware(core));
+  io.use(createSocketAuthMiddleware(verifyToken));
+  io.use(createSocketBanMiddleware(moderationStore));
+  io.use(rateLimiter.connectionMiddleware());
 
-      connectionManager.addUser(socket.id, userData);
-      io.emit("stats-update", connectionManager.getStats());
+  // activeMatches is kept for existing clients
+  const broadcastStats = throttleAsync(async () => {
+    const stats = await core.getStats();
+    io.emit("stats-update", {
+      ...stats,
+      activeMatches: stats.connectedRooms,
+    });
+  }, STATS_BROADCAST_INTERVAL_MS);
 
-      socket.on("find-match", async () => {
-        console.log(`[TextChat] Find match request from: ${socket.id}`);
+  // Both sides confirmed the match
+  core.on("room-state", ({ roomId, participants, state }) => {
+    if (state !== ROOM_STATES.CONNECTED) return;
+    participants.forEach((participantId) => {
+      io.to(participantId).emit("match-confirmed", { matchId: roomId });
+    });
+  });
 
-        const waitingPartnerId = connectionManager.getNextWaitingUser();
+  // The peer may be connected to another instance, so use the room profile
+  const buildMatchPayload = (room, socketId, peerId, details) => {
+    const peer = room.profiles[peerId];
+    return {
+      matchId: room.id,
+      peerId,
+      peerFirestoreId: peer.uid,
+      peerData: {
+        socketId: peerId,
+        firestoreId: peer.uid,
+        userName: peer.userName,
+        userPhoto: peer.userPhoto,
+      },
+      sharedInterests: details.sharedInterests,
+      unmetPreferences: details.unmetPreferences[socketId],
+    };
+  };
 
-        if (waitingPartnerId) {
-          const match = await connectionManager.createMatch(
-            socket.id,
-            waitingPartnerId
-          );
+  io.on("connection", (socket) => {
+    const socketLog = bindSocketLogger(socket, log);
+    socketLog.info("New connection", { event: "connection" });
+    if (metrics) {
+      metrics.instrumentSocket(socket, "text");
+    }
+    socket.join(userRoom(socket.data.user.uid));
+    rateLimiter.attach(socket, socketLog);
 
-          if (!match) {
-            socket.emit("error", { message: "Failed to create match" });
-            return;
-          }
+    try {
+      // Identity comes from the verified token, never from the query string.
+      // The local user is registered synchronously, before any event arrives.
+      handleAsync(socket, async () => {
+        await core.addUser(socket.id, {
+          ...socket.data.user,
+          deliveryAcks: socket.handshake.auth?.deliveryAcks === true,
+        });
+        await broadcastStats();
+      })();
 
-          // Emit match event to both users
-          match.participants.forEach((participant) => {
-            const otherParticipant = match.participants.find(
-              (p) => p.socketId !== participant.socketId
-            );
-
-            io.to(participant.socketId).emit("match", {
-              matchId: match.id,
-              peerId: otherParticipant.socketId,
-              peerFirestoreId: otherParticipant.firestoreId,
-              peerData: otherParticipant.userData,
-            });
-          });
-        } else {
-          connectionManager.addToWaitingQueue(socket.id);
-          socket.emit("waiting");
-        }
+      registerMatchmakingHandlers({
+        io,
+        socket,
+        core,
+        moderationStore,
+        transport: "text",
+        log: socketLog,
+        buildMatchPayload,
+        broadcastStats,
+      });
 
-        io.emit("stats-update", connectionManager.getStats());
+      registerInviteHandlers({
+        io,
+        socket,
+        core,
+        transport: "text",
+        log: socketLog,
+        buildMatchPayload,
+        broadcastStats,
       });
 
-      socket.on("confirm-match", ({ matchId }) => {
-        const confirmed = connectionManager.confirmMatch(matchId, socket.id);
-        if (confirmed) {
-          const match = connectionManager.matches.get(matchId);
-          match.participants.forEach((participant) => {
-            io.to(participant.socketId).emit("match-confirmed", { matchId });
-          });
+      socket.on("disconnect", () => messageValidator.forget(socket.id));
+
+      socket.on(
+        "confirm-match",
+        handleAsync(socket, async ({ matchId } = {}) => {
+          const room = await core.getRoomBySocket(socket.id);
+          if (!room || room.id !== matchId) return;
+          await core.acknowledgeConnection(socket.id);
+        })
+      );
+
+      // When this socket last relayed "typing", reset by stop-typing
+      let lastTypingAt = 0;
+
+      const relayToPartner = async (event, payload) => {
+        const recipient = await core.getPartnerId(socket.id);
+        if (recipient) {
+          io.to(recipient).emit(event, payload);
         }
-      });
+        return recipient;
+      };
 
-      socket.on("chat-message", (message) => {
-        const user = connectionManager.users.get(socket.id);
-        if (!user || !user.matchId) return;
+      // The server assigns the message id and timestamp; the client's own
+      // id comes back as clientId. The ack callback confirms the message was
+      // sent, and "message-delivered" follows once the recipient acks it.
+      // Recipients that did not set deliveryAcks in the handshake predate
+      // those acks, so their senders get it as soon as the message is relayed.
+      socket.on(
+        "chat-message",
+        handleAsync(socket, async (payload, ack) => {
+          const partner = await core.getPartner(socket.id);
+          const recipient = partner && partner.socketId;
+          if (!recipient) {
+            rejectChatMessage(socket, ack, payload, NO_ACTIVE_MATCH);
+            return;
+          }
 
-        const match = connectionManager.matches.get(user.matchId);
-        if (!match) return;
+          const result = messageValidator.validate(socket.id, payload);
+          if (!result.ok) {
+            rejectChatMessage(socket, ack, payload, result.error);
+            return;
+          }
 
-        const recipient = match.participants.find(
-          (p) => p.socketId !== socket.id
-        );
-        if (!recipient) return;
+          const clientId = result.message.id;
+          const stored = await core.addMessage(socket.id, {
+            ...result.message,
+            id: crypto.randomUUID(),
+            clientId,
+          });
+          if (!stored) {
+            rejectChatMessage(socket, ack, payload, NO_ACTIVE_MATCH);
+            return;
+          }
 
-        connectionManager.addMessage(user.matchId, message);
-        io.to(recipient.socketId).emit("chat-message", message);
-        socket.emit("message-delivered", message.id);
-      });
+          lastTypingAt = 0;
+          socketLog.debug("Relaying chat message", {
+            event: "chat-message",
+            recipient,
+            messageId: stored.id,
+            text: stored.text,
+          });
+          acknowledge(ack, {
+            ok: true,
+            id: stored.id,
+            clientId,
+            timestamp: stored.timestamp,
+          });
 
-      socket.on("disconnect", () => {
-        console.log(`[TextChat] Disconnection happened: ${socket.id}`);
+          // The client id stays first for existing clients
+          const sendDelivered = () => {
+            socket.emit("message-delivered", clientId, {
+              id: stored.id,
+              clientId,
+              deliveredAt: new Date().toISOString(),
+            });
+          };
+          if (!partner.profile?.deliveryAcks) {
+            io.to(recipient).emit("chat-message", stored);
+            sendDelivered();
+            return;
+          }
+          io.to(recipient)
+            .timeout(DELIVERY_TIMEOUT_MS)
+            .emit("chat-message", stored, (err, responses) => {
+              if (err || responses.length === 0) return;
+              sendDelivered();
+            });
+        })
+      );
 
-        const partnerId = connectionManager.breakMatch(socket.id);
-        if (partnerId) {
-          io.to(partnerId).emit("partner-left", {
-            reason: "Partner disconnected",
+      socket.on(
+        "typing",
+        handleAsync(socket, async () => {
+          const now = Date.now();
+          if (now - lastTypingAt < TYPING_THROTTLE_MS) return;
+          lastTypingAt = now;
+          await relayToPartner("typing", {
             timestamp: new Date().toISOString(),
           });
-        }
+        })
+      );
 
-        connectionManager.removeUser(socket.id);
-        io.emit("stats-update", connectionManager.getStats());
-      });
+      socket.on(
+        "stop-typing",
+        handleAsync(socket, async () => {
+          if (!lastTypingAt) return;
+          lastTypingAt = 0;
+          await relayToPartner("stop-typing", {
+            timestamp: new Date().toISOString(),
+          });
+        })
+      );
+
+      // Read receipts for one or more server message ids
+      socket.on(
+        "message-read",
+        handleAsync(socket, async ({ id, ids } = {}, ack) => {
+          const messageIds = (Array.isArray(ids) ? ids : [id])
+            .filter((messageId) => typeof messageId === "string")
+            .slice(0, MAX_READ_RECEIPT_IDS);
+          if (messageIds.length === 0) {
+            acknowledge(ack, {
+              ok: false,
+              error: { code: "NO_MESSAGE_IDS", message: "No message ids" },
+            });
+            return;
+          }
+
+          const recipient = await relayToPartner("message-read", {
+            ids: messageIds,
+            readAt: new Date().toISOString(),
+          });
+          acknowledge(
+            ack,
+            recipient ? { ok: true } : { ok: false, error: NO_ACTIVE_MATCH }
+          );
+        })
+      );
     } catch (error) {
-      console.error("[TextChat] Error in connection handlers:", error);
+      socketLog.error("Error in connection handlers", { error });
       socket.emit("error", { message: "Internal server error" });
     }
   });
 
-  return io;
+  return { io, core, buildMatchPayload, broadcastStats };
 }
 
 module.exports = { setupTextChatServer };
@@ -0,0 +1,476 @@
+const { Server } = require("socket.io");
+const {
+  MatchmakingCore,
+  ROOM_STATES,
+} = require("../matchmaking/MatchmakingCore");
+const {
+  registerMatchmakingHandlers,
+  handleAsync,
+  throttleAsync,
+  STATS_BROADCAST_INTERVAL_MS,
+  acknowledge,
+  rejectChatMessage,
+  userRoom,
+} = require("../matchmaking/socketHandlers");
+const { createSocketAuthMiddleware } = require("../auth/firebaseAuth");
+const { createSocketAdapter } = require("../store/stateStore");
+const { createMessageValidator } = require("../chat/messageValidator");
+const { createSignalingValidator } = require("../signaling/signalingValidator");
+const SocketRateLimiter = require("../rateLimit/SocketRateLimiter");
+const {
+  createSocketBanMiddleware,
+} = require("../moderation/socketBanMiddleware");
+const { DEFAULT_STUN_URLS } = require("../iceServers/iceServers");
+const {
+  registerGroupRoomHandlers,
+} = require("../groupRooms/groupRoomHandlers");
+const { createMeshTopology } = require("../groupRooms/meshTopology");
+const { registerInviteHandlers } = require("../invites/inviteHandlers");
+const {
+  createSocketDrainMiddleware,
+} = require("../lifecycle/gracefulShutdown");
+const { logger, bindSocketLogger } = require("../logging/logger");
+
+// Tell both peers when their room changes state
+const ROOM_STATE_EVENTS = {
+  [ROOM_STATES.CONNECTED]: "call-connected",
+  [ROOM_STATES.ENDED]: "call-ended",
+  [ROOM_STATES.FAILED]: "connection-failed",
+};
+
+// Why a peer sends a new offer on an established connection
+const RENEGOTIATION_REASONS = ["screen-share", "tracks-changed", "ice-restart"];
+
+function setupVideoChatServer(
+  server,
+  {
+    corsOptions,
+    verifyToken,
+    stateStore,
+    moderationStore = null,
+    historyStore = null,
+    messageValidator = createMessageValidator(),
+    signalingValidator = createSignalingValidator(),
+    rateLimiter = new SocketRateLimiter({ store: stateStore }),
+    metrics = null,
+    iceServerProvider = null,
+    groupTopology = createMeshTopology(),
+  }
+) {
+  const log = logger.child({ transport: "video" });
+
+  const io = new Server(server, {
+    cors: corsOptions,
+    transports: ["websocket"],
+    pingTimeout: 60000,
+    pingInterval: 25000,
+    path: "/video-chat",
+    connectTimeout: 60000,
+    maxHttpBufferSize: 1e6,
+  });
+
+  const adapter = createSocketAdapter(stateStore, "video");
+  if (adapter) {
+    io.adapter(adapter);
+  }
+
+  const core = new MatchmakingCore({
+    mode: "video",
+    store: stateStore,
+    moderationStore,
+    historyStore,
+  });
+  if (metrics) {
+    metrics.instrumentCore(core, "video");
+  }
+
+  io.use(createSocketDrainMiddleware(core));
+  io.use(createSocketAuthMiddleware(verifyToken));
+  io.use(createSocketBanMiddleware(moderationStore));
+  io.use(rateLimiter.connectionMiddleware());
+
+  // activePartnerships is kept for existing clients
+  const broadcastStats = throttleAsync(async () => {
+    const stats = await core.getStats();
+    io.emit("stats-update", {
+      ...stats,
+      activePartnerships: stats.activeRooms,
+    });
+  }, STATS_BROADCAST_INTERVAL_MS);
+
+  core.on("room-state", ({ roomId, participants, state, reason }) => {
+    const eventName = ROOM_STATE_EVENTS[state];
+    if (!eventName) return;
+
+    log.info("Room state changed", { roomId, state, reason });
+
+    participants.forEach((participantId) => {
+      io.to(participantId).emit(eventName, {
+        roomId,
+        state,
+        reason,
+        timestamp: new Date().toISOString(),
+      });
+    });
+  });
+
+  // Group membership changes: the others hear who joined or left, and
+  // everyone gets the new roster
+  core.on(
+    "room-members",
+    ({ roomId, participants, roster, joined, left, reason }) => {
+      const timestamp = new Date().toISOString();
+      const others = participants.filter((id) => id !== joined);
+
+      if (joined && others.length > 0) {
+        io.to(others).emit("group-member-joined", {
+          roomId,
+          member: roster.find((member) => member.socketId === joined),
+          timestamp,
+        });
+      }
+      if (left) {
+        io.to(participants).emit("group-member-left", {
+          roomId,
+          peerId: left,
+          reason,
+          timestamp,
+        });
+      }
+      io.to(participants).emit("group-roster", {
+        roomId,
+        members: roster,
+        timestamp,
+      });
+    }
+  );
+
+  // Falls back to public STUN so a provider outage never blocks a match
+  const getIceServers = async (uid) => {
+    if (!iceServerProvider) return [{ urls: DEFAULT_STUN_URLS }];
+    try {
+      return (await iceServerProvider.getIceServers(uid)).iceServers;
+    } catch (error) {
+      log.error("Failed to issue ICE servers", { uid, error });
+      return [{ urls: DEFAULT_STUN_URLS }];
+    }
+  };
+
+  // topology tells the member which peers to send offers to
+  const buildGroupPayload = async (room, socketId) => ({
+    timestamp: room.createdAt,
+    roomId: room.id,
+    code: room.code,
+    name: room.name,
+    maxParticipants: parseInt(room.maxParticipants),
+    members: core.getGroupRoster(room),
+    topology: groupTopology.describe(room, socketId),
+    iceServers: await getIceServers(room.profiles[socketId]?.uid),
+    iceTransportPolicy: signalingValidator.iceTransportPolicy,
+    mediaStates: await core.getMediaStates(room),
+  });
+
+  // The socket that triggered the match creates the offer
+  const buildMatchPayload = async (room, socketId, peerId, details) => {
+    if (room.kind === "group") return buildGroupPayload(room, socketId);
+
+    const [initiatorId, responderId] = room.participants;
+    return {
+      timestamp: room.createdAt,
+      roomId: room.id,
+      matchId: `${initiatorId.slice(0, 4)}-${responderId.slice(0, 4)}`,
+      sharedInterests: details.sharedInterests,
+      peerId,
+      isInitiator: socketId === initiatorId,
+      unmetPreferences: details.unmetPreferences[socketId],
+      iceServers: await getIceServers(room.profiles[socketId]?.uid),
+      iceTransportPolicy: signalingValidator.iceTransportPolicy,
+      mediaStates: await core.getMediaStates(room),
+    };
+  };
+
+  // Socket connection handling
+  io.on("connection", (socket) => {
+    const socketLog = bindSocketLogger(socket, log);
+    socketLog.info("New connection", { event: "connection" });
+    if (metrics) {
+      metrics.instrumentSocket(socket, "video");
+    }
+    socket.join(userRoom(socket.data.user.uid));
+    rateLimiter.attach(socket, socketLog);
+
+    // The local user is registered synchronously, before any event arrives
+    handleAsync(socket, async () => {
+      await core.addUser(socket.id, socket.data.user);
+      await broadcastStats();
+    })();
+
+    registerMatchmakingHandlers({
+      io,
+      socket,
+      core,
+      moderationStore,
+      transport: "video",
+      log: socketLog,
+      buildMatchPayload,
+      broadcastStats,
+    });
+
+    registerInviteHandlers({
+      io,
+      socket,
+      core,
+      transport: "video",
+      log: socketLog,
+      buildMatchPayload,
+      broadcastStats,
+    });
+
+    registerGroupRoomHandlers({
+      socket,
+      core,
+      log: socketLog,
+      buildGroupPayload,
+      broadcastStats,
+    });
+
+    socket.on("disconnect", () => messageValidator.forget(socket.id));
+
+    // `event` names the signaling message that was refused
+    const rejectSignal = (event, error) => {
+      socketLog.warn("Rejected signaling message", {
+        event,
+        code: error.code,
+      });
+      socket.emit("error", {
+        ...error,
+        event,
+        timestamp: new Date().toISOString(),
+      });
+    };
+
+    const invalidPeer = (description) => ({
+      code: "INVALID_PEER",
+      message: `Invalid peer relationship for ${description}`,
+    });
+
+    // Every signaling message is an object addressed to a peer; anything
+    // else is refused before the handler destructures it
+    const onSignal = (event, handler) => {
+      socket.on(
+        event,
+        handleAsync(socket, async (payload) => {
+          if (
+            !payload ||
+            typeof payload !== "object" ||
+            Array.isArray(payload)
+          ) {
+            rejectSignal(event, {
+              code: "SIGNALING_INVALID",
+              message: `${event} payload must be an object`,
+            });
+            return;
+          }
+          await handler(payload);
+        })
+      );
+    };
+
+    // Handle WebRTC signaling. Each message is addressed to one peer, so
+    // group members negotiate a connection per pair. Only validated fields
+    // are relayed, after the candidate policy filtered them.
+    // `renegotiation` marks an offer on an established connection, e.g. to
+    // add or remove a screen-share track. It goes through the same checks.
+    onSignal("offer", async ({ peerId, offer, renegotiation }) => {
+      const result = signalingValidator.validateDescription(offer, "offer");
+      if (!result.ok) {
+        rejectSignal("offer", result.error);
+        return;
+      }
+      if (
+        renegotiation !== undefined &&
+        renegotiation !== null &&
+        !RENEGOTIATION_REASONS.includes(renegotiation)
+      ) {
+        rejectSignal("offer", {
+          code: "RENEGOTIATION_INVALID",
+          message: `Renegotiation must be one of ${RENEGOTIATION_REASONS.join(
+            ", "
+          )}`,
+        });
+        return;
+      }
+
+      const room = await core.validatePeers(socket.id, peerId);
+      if (!room) {
+        rejectSignal("offer", invalidPeer("offer"));
+        return;
+      }
+
+      if (!renegotiation) {
+        await core.markSignaling(room.roomId);
+      }
+      socketLog.debug("Relaying offer", {
+        event: "offer",
+        roomId: room.roomId,
+        peerId,
+        renegotiation,
+        offer: result.description,
+      });
+
+      io.to(peerId).emit("offer", {
+        offer: result.description,
+        fromPeerId: socket.id,
+        roomId: room.roomId,
+        renegotiation: renegotiation || null,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    onSignal("answer", async ({ peerId, answer }) => {
+      const result = signalingValidator.validateDescription(answer, "answer");
+      if (!result.ok) {
+        rejectSignal("answer", result.error);
+        return;
+      }
+
+      const room = await core.validatePeers(socket.id, peerId);
+      if (!room) {
+        rejectSignal("answer", invalidPeer("answer"));
+        return;
+      }
+
+      socketLog.debug("Relaying answer", {
+        event: "answer",
+        roomId: room.roomId,
+        peerId,
+        answer: result.description,
+      });
+
+      io.to(peerId).emit("answer", {
+        answer: result.description,
+        fromPeerId: socket.id,
+        roomId: room.roomId,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    onSignal("ice-candidate", async ({ peerId, candidate }) => {
+      const result = signalingValidator.validateCandidate(candidate);
+      if (!result.ok) {
+        rejectSignal("ice-candidate", result.error);
+        return;
+      }
+
+      const room = await core.validatePeers(socket.id, peerId);
+      if (!room) {
+        rejectSignal("ice-candidate", invalidPeer("ICE candidate"));
+        return;
+      }
+
+      if (result.dropped) {
+        socketLog.debug("Dropped ICE candidate by policy", {
+          event: "ice-candidate",
+          roomId: room.roomId,
+          peerId,
+        });
+        return;
+      }
+
+      socketLog.debug("Relaying ICE candidate", {
+        event: "ice-candidate",
+        roomId: room.roomId,
+        peerId,
+        candidate: result.candidate,
+      });
+
+      io.to(peerId).emit("ice-candidate", {
+        candidate: result.candidate,
+        fromPeerId: socket.id,
+        roomId: room.roomId,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    // Mute, camera and screen-share changes, relayed to everyone else in
+    // the room. The latest state also goes out with "match",
+    // "group-room-joined" and "session-resumed".
+    socket.on(
+      "media-state",
+      handleAsync(socket, async (payload, ack) => {
+        const result = await core.setMediaState(socket.id, payload);
+        if (result.error) {
+          if (typeof ack === "function") {
+            ack({ ok: false, error: result.error });
+          } else {
+            rejectSignal("media-state", result.error);
+          }
+          return;
+        }
+
+        const { roomId, peerIds, state } = result;
+        socketLog.debug("Media state changed", {
+          event: "media-state",
+          roomId,
+          ...state,
+        });
+        if (peerIds.length > 0) {
+          io.to(peerIds).emit("media-state", {
+            roomId,
+            peerId: socket.id,
+            ...state,
+            timestamp: new Date().toISOString(),
+          });
+        }
+        acknowledge(ack, { ok: true, ...state });
+      })
+    );
+
+    // Client reports its RTCPeerConnection reached "connected"
+    socket.on(
+      "peer-connected",
+      handleAsync(socket, async () => {
+        const result = await core.acknowledgeConnection(socket.id);
+        if (!result) {
+          socket.emit("error", { message: "No active room to acknowledge" });
+        }
+      })
+    );
+
+    // Handle chat messages. Only validated fields are stored and relayed,
+    // to the partner or to every other group member.
+    socket.on(
+      "chat-message",
+      handleAsync(socket, async (payload, ack) => {
+        const recipients = await core.getPeerIds(socket.id);
+        if (recipients.length === 0) return;
+
+        const result = messageValidator.validate(socket.id, payload);
+        if (!result.ok) {
+          rejectChatMessage(socket, ack, payload, result.error);
+          return;
+        }
+
+        const stored = await core.addMessage(socket.id, result.message);
+        if (stored) {
+          socketLog.debug("Relaying chat message", {
+            event: "chat-message",
+            recipients,
+            text: stored.text,
+          });
+          io.to(recipients).emit("chat-message", stored);
+          acknowledge(ack, { ok: true, timestamp: stored.timestamp });
+        }
+      })
+    );
+  });
+
+  // Handle connection errors
+  io.engine.on("connection_error", (err) => {
+    log.warn("Connection error", { code: err.code, error: err.message });
+  });
+
+  return { io, core, buildMatchPayload, broadcastStats };
+}
+
+module.exports = { setupVideoChatServer };
@@ -0,0 +1,264 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { logger } = require("../logging/logger");
+
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another attempt
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+// Signature over "<timestamp>.<body>" so a captured request cannot be
+// replayed with a new timestamp
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// Delivers events to outbound webhook endpoints. Each request carries an
+// HMAC-SHA256 signature keyed with the endpoint's secret. Failed deliveries
+// are retried with exponential backoff; those that run out of attempts, or
+// that the receiver rejects outright, go to the dead-letter log, kept in
+// memory and, when `deadLetterFile` is set, appended to it as JSON lines.
+class WebhookDispatcher {
+  constructor({
+    endpoints,
+    maxAttempts = 8,
+    retryBaseMs = 1000,
+    timeoutMs = 5000,
+    maxPendingRetries = 1000,
+    deadLetterFile = null,
+    deadLetterLimit = 100,
+  }) {
+    this.endpoints = endpoints; // [{ url, secret, events: [] | null }]
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.maxPendingRetries = maxPendingRetries;
+    this.deadLetterFile = deadLetterFile;
+    this.deadLetterLimit = deadLetterLimit;
+    this.retries = new Map(); // delivery id -> { delivery, timer }
+    this.inFlight = new Set();
+    this.deadLetters = [];
+    this.closed = false;
+  }
+
+  // Queues `event` for every endpoint subscribed to it. Returns the
+  // envelope, or null when no endpoint wants it.
+  send(event, data) {
+    return this.dispatch(
+      event,
+      data,
+      this.endpoints.filter(
+        (endpoint) => !endpoint.events || endpoint.events.includes(event)
+      )
+    );
+  }
+
+  // "webhook.ping" goes to every endpoint, whatever it subscribed to, so a
+  // receiver can be checked before any real traffic
+  ping(data = {}) {
+    return this.dispatch("webhook.ping", data, this.endpoints);
+  }
+
+  dispatch(event, data, endpoints) {
+    if (this.closed || endpoints.length === 0) return null;
+
+    const envelope = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+    endpoints.forEach((endpoint) => {
+      this.attempt({
+        id: crypto.randomUUID(),
+        endpoint,
+        envelope,
+        attempts: 0,
+        lastError: null,
+      });
+    });
+    return envelope;
+  }
+
+  attempt(delivery) {
+    const pending = this.deliver(delivery).finally(() =>
+      this.inFlight.delete(pending)
+    );
+    this.inFlight.add(pending);
+  }
+
+  async deliver(delivery) {
+    delivery.attempts++;
+    const body = JSON.stringify(delivery.envelope);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    let status = null;
+    try {
+      const response = await fetch(delivery.endpoint.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "guffgaff-webhooks",
+          "x-webhook-id": delivery.envelope.id,
+          "x-webhook-event": delivery.envelope.event,
+          "x-webhook-timestamp": timestamp,
+          "x-webhook-signature": `sha256=${signPayload(
+            delivery.endpoint.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      status = response.status;
+      // Only the status matters; drain the body so the connection is reused
+      await response.arrayBuffer().catch(() => null);
+      if (response.ok) {
+        logger.debug("Webhook delivered", this.describe(delivery, { status }));
+        return;
+      }
+      delivery.lastError = `HTTP ${status}`;
+    } catch (error) {
+      delivery.lastError = error.message;
+    }
+
+    if (!isRetryable(status)) {
+      this.deadLetter(delivery, "rejected");
+    } else if (delivery.attempts >= this.maxAttempts) {
+      this.deadLetter(delivery, "max-attempts");
+    } else {
+      this.scheduleRetry(delivery);
+    }
+  }
+
+  // Doubles from retryBaseMs up to five minutes, with jitter so receivers
+  // coming back up are not hit by every retry at once
+  backoffMs(attempts) {
+    const delay = Math.min(
+      this.retryBaseMs * 2 ** (attempts - 1),
+      MAX_BACKOFF_MS
+    );
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  scheduleRetry(delivery) {
+    if (this.closed) {
+      this.deadLetter(delivery, "shutdown");
+      return;
+    }
+    if (this.retries.size >= this.maxPendingRetries) {
+      this.deadLetter(delivery, "retry-queue-full");
+      return;
+    }
+
+    const delayMs = this.backoffMs(delivery.attempts);
+    logger.warn(
+      "Webhook delivery failed, retrying",
+      this.describe(delivery, { retryInMs: delayMs })
+    );
+    const timer = setTimeout(() => {
+      this.retries.delete(delivery.id);
+      this.attempt(delivery);
+    }, delayMs);
+    this.retries.set(delivery.id, { delivery, timer });
+  }
+
+  deadLetter(delivery, reason) {
+    const entry = {
+      id: delivery.id,
+      url: delivery.endpoint.url,
+      reason,
+      attempts: delivery.attempts,
+      lastError: delivery.lastError,
+      envelope: delivery.envelope,
+      failedAt: new Date().toISOString(),
+    };
+
+    this.deadLetters.push(entry);
+    if (this.deadLetters.length > this.deadLetterLimit) {
+      this.deadLetters.shift();
+    }
+
+    logger.error("Webhook dead-lettered", this.describe(delivery, { reason }));
+    if (this.deadLetterFile) {
+      fs.appendFile(
+        this.deadLetterFile,
+        JSON.stringify(entry) + "\n",
+        (error) => {
+          if (error) {
+            logger.error("Failed to write webhook dead letter", { error });
+          }
+        }
+      );
+    }
+  }
+
+  // Newest first
+  listDeadLetters({ limit = 100 } = {}) {
+    return this.deadLetters.slice(-limit).reverse();
+  }
+
+  // Sends a dead letter again from its first attempt. Returns false when it
+  // is no longer kept in memory.
+  redeliver(deadLetterId) {
+    const index = this.deadLetters.findIndex(
+      (entry) => entry.id === deadLetterId
+    );
+    const endpoint =
+      index !== -1 &&
+      this.endpoints.find(
+        (candidate) => candidate.url === this.deadLetters[index].url
+      );
+    if (this.closed || !endpoint) return false;
+
+    const [entry] = this.deadLetters.splice(index, 1);
+    this.attempt({
+      id: entry.id,
+      endpoint,
+      envelope: entry.envelope,
+      attempts: 0,
+      lastError: null,
+    });
+    return true;
+  }
+
+  getStats() {
+    return {
+      endpoints: this.endpoints.length,
+      inFlight: this.inFlight.size,
+      pendingRetries: this.retries.size,
+      deadLetters: this.deadLetters.length,
+    };
+  }
+
+  // Lets requests already sent finish; queued retries go to the dead-letter
+  // log so they can be replayed from the file
+  async close() {
+    this.closed = true;
+    this.retries.forEach(({ delivery, timer }) => {
+      clearTimeout(timer);
+      this.deadLetter(delivery, "shutdown");
+    });
+    this.retries.clear();
+    await Promise.all(Array.from(this.inFlight));
+  }
+
+  describe(delivery, extra = {}) {
+    return {
+      webhookId: delivery.envelope.id,
+      webhookEvent: delivery.envelope.event,
+      url: delivery.endpoint.url,
+      attempts: delivery.attempts,
+      lastError: delivery.lastError,
+      ...extra,
+    };
+  }
+}
+
+module.exports = WebhookDispatcher;
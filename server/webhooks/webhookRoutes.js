@@ -0,0 +1,54 @@
+const express = require("express");
+
+// Webhook delivery status, test pings and dead-letter replay, mounted by the
+// admin router after authentication
+function createWebhookRouter({ webhookDispatcher, auditLog }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.status(200).json({
+      endpoints: webhookDispatcher.endpoints.map(({ url, events }) => ({
+        url,
+        events,
+      })),
+      stats: webhookDispatcher.getStats(),
+    });
+  });
+
+  router.post("/ping", (req, res) => {
+    const envelope = webhookDispatcher.ping({ requestedBy: req.admin.uid });
+    auditLog.record({
+      adminUid: req.admin.uid,
+      action: "webhook-ping",
+      details: { webhookId: envelope && envelope.id },
+    });
+    res.status(202).json({ envelope });
+  });
+
+  router.get("/dead-letters", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.status(200).json({
+      deadLetters: webhookDispatcher.listDeadLetters({ limit }),
+    });
+  });
+
+  router.post("/dead-letters/:deliveryId/redeliver", (req, res) => {
+    if (!webhookDispatcher.redeliver(req.params.deliveryId)) {
+      res.status(404).json({
+        error: "NOT_FOUND",
+        message: "Unknown dead letter",
+      });
+      return;
+    }
+    auditLog.record({
+      adminUid: req.admin.uid,
+      action: "webhook-redeliver",
+      target: { deliveryId: req.params.deliveryId },
+    });
+    res.status(202).json({ redelivered: true });
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
@@ -0,0 +1,105 @@
+const WebhookDispatcher = require("./WebhookDispatcher");
+const { ROOM_STATES } = require("../matchmaking/MatchmakingCore");
+const { splitList } = require("../config/env");
+
+const WEBHOOK_EVENTS = [
+  "match.created",
+  "call.connected",
+  "call.ended",
+  "user.reported",
+  "user.banned",
+];
+
+// WEBHOOK_URLS lists the receivers, all signed with WEBHOOK_SECRET.
+// WEBHOOK_EVENTS narrows what is sent (all events by default). Unset
+// WEBHOOK_URLS disables webhooks.
+function createWebhookDispatcher() {
+  const urls = splitList(process.env.WEBHOOK_URLS);
+  if (urls.length === 0) return null;
+
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error("WEBHOOK_SECRET is required when WEBHOOK_URLS is set");
+  }
+  const events = splitList(process.env.WEBHOOK_EVENTS);
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown webhook events: ${unknown.join(", ")}`);
+  }
+
+  return new WebhookDispatcher({
+    endpoints: urls.map((url) => ({
+      url,
+      secret,
+      events: events.length > 0 ? events : null,
+    })),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    deadLetterFile: process.env.WEBHOOK_DEAD_LETTER_FILE || null,
+  });
+}
+
+// Sends matchmaking and moderation events from both chat servers to the
+// dispatcher. Payloads name users by uid; socket ids mean nothing outside
+// this instance. `namespaces` maps transport names to the { core } returned
+// by each chat server.
+function setupWebhooks({ dispatcher, namespaces, moderationStore }) {
+  Object.entries(namespaces).forEach(([namespace, { core }]) => {
+    core.on("room-created", ({ roomId, via, uids, waitTimesMs }) => {
+      dispatcher.send("match.created", {
+        namespace,
+        roomId,
+        via,
+        uids,
+        waitTimesMs,
+      });
+    });
+
+    core.on(
+      "room-state",
+      ({ roomId, kind, uids, state, reason, connectedAt }) => {
+        if (state === ROOM_STATES.CONNECTED) {
+          dispatcher.send("call.connected", {
+            namespace,
+            roomId,
+            kind,
+            uids,
+            connectedAt,
+          });
+        } else if (
+          state === ROOM_STATES.ENDED ||
+          state === ROOM_STATES.FAILED
+        ) {
+          // Rooms that never connected report no duration
+          dispatcher.send("call.ended", {
+            namespace,
+            roomId,
+            kind,
+            uids,
+            state,
+            reason: reason || "unknown",
+            connectedAt,
+            durationMs: connectedAt
+              ? Date.now() - Date.parse(connectedAt)
+              : null,
+          });
+        }
+      }
+    );
+  });
+
+  // The transcript stays on the server; moderators read it in the admin API
+  moderationStore.on("report-added", ({ messages, ...report }) => {
+    dispatcher.send("user.reported", {
+      ...report,
+      messageCount: messages.length,
+    });
+  });
+
+  moderationStore.on("user-banned", (ban) => {
+    dispatcher.send("user.banned", ban);
+  });
+}
+
+module.exports = { WEBHOOK_EVENTS, createWebhookDispatcher, setupWebhooks };
@@ -0,0 +1,782 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MatchmakingCore,
+  ROOM_STATES,
+} = require("../../server/matchmaking/MatchmakingCore");
+const MemoryStateStore = require("../../server/store/MemoryStateStore");
+const ModerationStore = require("../../server/moderation/ModerationStore");
+
+// Lets the async work behind a fired mock timer finish
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Mocks Date from the real current time; at the epoch a zero timestamp
+// would read as unset
+const mockClock = (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+};
+
+// A core on its own memory store, with no connection timeout so rooms do
+// not outlive the test
+function createCore(options = {}) {
+  const store = new MemoryStateStore();
+  const moderationStore = new ModerationStore({ store });
+  const core = new MatchmakingCore({
+    mode: "video",
+    store,
+    moderationStore,
+    connectionTimeout: null,
+    ...options,
+  });
+  return { core, store, moderationStore };
+}
+
+async function addUsers(core, ...socketIds) {
+  for (const socketId of socketIds) {
+    await core.addUser(socketId, { uid: `uid-${socketId}`, name: socketId });
+  }
+}
+
+// What the socket handlers do on find-match
+async function findMatch(core, socketId) {
+  const partner = await core.getNextWaitingUser(socketId);
+  if (!partner) {
+    await core.addToWaitingQueue(socketId);
+    return null;
+  }
+  return core.createRoom(socketId, partner);
+}
+
+function recordEvents(core, event) {
+  const events = [];
+  core.on(event, (payload) => events.push(payload));
+  return events;
+}
+
+describe("MatchmakingCore", () => {
+  let core;
+  let moderationStore;
+
+  beforeEach(async () => {
+    ({ core, moderationStore } = createCore());
+    await addUsers(core, "a", "b", "c");
+  });
+
+  describe("queue", () => {
+    it("pairs a seeker with a waiting user and removes them from the queue", async () => {
+      assert.equal(await findMatch(core, "a"), null);
+      assert.equal(await core.isWaiting("a"), true);
+      assert.equal(core.getUser("a").isMatching, true);
+
+      const room = await findMatch(core, "b");
+      assert.deepEqual(room.participants, ["b", "a"]);
+      assert.equal(await core.isWaiting("a"), false);
+      assert.equal(core.getUser("a").isMatching, false);
+      assert.equal(await core.getQueueLength(), 0);
+    });
+
+    it("lets only one seeker claim a waiting user", async () => {
+      await core.addToWaitingQueue("a");
+
+      const claims = await Promise.all([
+        core.getNextWaitingUser("b"),
+        core.getNextWaitingUser("c"),
+      ]);
+      assert.deepEqual(
+        claims.filter(Boolean).map((entry) => entry.socketId),
+        ["a"]
+      );
+    });
+
+    it("never matches a user with their own queue entry", async () => {
+      await core.addToWaitingQueue("a");
+      assert.equal(await core.getNextWaitingUser("a"), null);
+    });
+
+    it("does not queue the same socket twice", async () => {
+      assert.equal(await core.addToWaitingQueue("a"), true);
+      assert.equal(await core.addToWaitingQueue("a"), false);
+      assert.equal(await core.getQueueLength(), 1);
+    });
+
+    it("requeues a claimed entry only while its socket is not in a room", async () => {
+      await core.addToWaitingQueue("a");
+      const entry = await core.getNextWaitingUser("b");
+      assert.equal(await core.requeue(entry), true);
+      assert.equal(await core.isWaiting("a"), true);
+
+      const claimed = await core.getNextWaitingUser("b");
+      await core.createRoom("c", claimed);
+      assert.equal(await core.requeue(claimed), false);
+      assert.equal(await core.isWaiting("a"), false);
+    });
+
+    it("only pairs users in the same age group and content mode", async () => {
+      await core.addUser("adult", { uid: "uid-adult", ageBracket: "adult" });
+      await core.addToWaitingQueue("adult");
+
+      assert.equal(await core.getNextWaitingUser("a"), null);
+      assert.equal(await core.isWaiting("adult"), true);
+    });
+  });
+
+  describe("rooms", () => {
+    it("creates a room holding both sockets", async () => {
+      const created = recordEvents(core, "room-created");
+      const room = await core.createRoom("a", {
+        socketId: "b",
+        ...core.getProfile("b"),
+      });
+
+      assert.equal(room.state, ROOM_STATES.MATCHED);
+      assert.equal(await core.getPartnerId("a"), "b");
+      assert.equal(await core.getPartnerId("b"), "a");
+      assert.deepEqual(created, [
+        {
+          roomId: room.id,
+          via: "queue",
+          uids: ["uid-a", "uid-b"],
+          waitTimesMs: [],
+        },
+      ]);
+      assert.equal(await core.haveMet("uid-a", "uid-b"), true);
+    });
+
+    it("gives each side its partner's profile, delivery acks included", async () => {
+      await core.addUser("acking", { uid: "uid-acking", deliveryAcks: true });
+      await core.addToWaitingQueue("acking");
+      await findMatch(core, "a");
+
+      const partner = await core.getPartner("a");
+      assert.equal(partner.socketId, "acking");
+      assert.equal(partner.profile.deliveryAcks, true);
+      assert.equal(
+        (await core.getPartner("acking")).profile.deliveryAcks,
+        false
+      );
+    });
+
+    it("refuses a room for a socket already in one", async () => {
+      await core.createRoom("a", { socketId: "b", ...core.getProfile("b") });
+      const room = await core.createRoom("c", {
+        socketId: "a",
+        ...core.getProfile("a"),
+      });
+
+      assert.equal(room, null);
+      assert.equal(await core.getPartnerId("a"), "b");
+      assert.equal(await core.getRoomBySocket("c"), null);
+    });
+
+    it("ends a room once and returns the partner", async () => {
+      const room = await core.createRoom("a", {
+        socketId: "b",
+        ...core.getProfile("b"),
+      });
+
+      assert.equal(await core.endRoom("a", "partner-left"), "b");
+      assert.equal(await core.endRoom("b", "partner-left"), null);
+      assert.equal(await core.getRoom(room.id), null);
+      assert.equal(await core.getRoomBySocket("a"), null);
+      assert.equal(await core.getRoomBySocket("b"), null);
+    });
+
+    it("remembers the last partner after the room ends", async () => {
+      await core.createRoom("a", { socketId: "b", ...core.getProfile("b") });
+      await core.endRoom("a", "partner-left");
+
+      const target = await core.getReportTarget("a");
+      assert.equal(target.socketId, "b");
+      assert.equal(target.uid, "uid-b");
+    });
+  });
+
+  describe("room states", () => {
+    let room;
+    let states;
+
+    beforeEach(async () => {
+      room = await core.createRoom("a", {
+        socketId: "b",
+        ...core.getProfile("b"),
+      });
+      states = recordEvents(core, "room-state");
+    });
+
+    it("moves from matched through signaling to connected", async () => {
+      assert.equal(await core.markSignaling(room.id), true);
+      await core.acknowledgeConnection("a");
+      assert.equal((await core.getRoom(room.id)).state, ROOM_STATES.SIGNALING);
+
+      await core.acknowledgeConnection("b");
+      const connected = await core.getRoom(room.id);
+      assert.equal(connected.state, ROOM_STATES.CONNECTED);
+      assert.ok(connected.connectedAt);
+      assert.deepEqual(
+        states.map(({ previousState, state }) => [previousState, state]),
+        [
+          [ROOM_STATES.MATCHED, ROOM_STATES.SIGNALING],
+          [ROOM_STATES.SIGNALING, ROOM_STATES.CONNECTED],
+        ]
+      );
+    });
+
+    it("may connect straight from matched", async () => {
+      await core.acknowledgeConnection("a");
+      await core.acknowledgeConnection("b");
+      assert.equal((await core.getRoom(room.id)).state, ROOM_STATES.CONNECTED);
+    });
+
+    it("refuses to move backwards", async () => {
+      await core.transitionRoom(room.id, ROOM_STATES.CONNECTED);
+      assert.equal(await core.markSignaling(room.id), false);
+      assert.equal(
+        await core.transitionRoom(room.id, ROOM_STATES.MATCHED),
+        false
+      );
+      assert.equal((await core.getRoom(room.id)).state, ROOM_STATES.CONNECTED);
+    });
+
+    it("reports the reason when a room ends", async () => {
+      await core.endRoom("a", "partner-left");
+
+      assert.equal(states.length, 1);
+      assert.equal(states[0].previousState, ROOM_STATES.MATCHED);
+      assert.equal(states[0].state, ROOM_STATES.ENDED);
+      assert.equal(states[0].reason, "partner-left");
+      assert.deepEqual(states[0].uids, ["uid-a", "uid-b"]);
+      assert.equal(
+        await core.transitionRoom(room.id, ROOM_STATES.FAILED),
+        false
+      );
+    });
+
+    it("fails a room that never connects in time", async (t) => {
+      t.mock.timers.enable({ apis: ["setTimeout"] });
+      const timed = createCore({ connectionTimeout: 20 }).core;
+      await addUsers(timed, "a", "b");
+      const failures = recordEvents(timed, "room-state");
+      const timedRoom = await timed.createRoom("a", {
+        socketId: "b",
+        ...timed.getProfile("b"),
+      });
+
+      t.mock.timers.tick(19);
+      await flush();
+      assert.ok(await timed.getRoom(timedRoom.id));
+
+      t.mock.timers.tick(1);
+      await flush();
+      assert.equal(await timed.getRoom(timedRoom.id), null);
+      assert.deepEqual(
+        failures.map(({ state, reason }) => [state, reason]),
+        [[ROOM_STATES.FAILED, "timeout"]]
+      );
+    });
+
+    it("keeps a connected room past the connection timeout", async (t) => {
+      t.mock.timers.enable({ apis: ["setTimeout"] });
+      const timed = createCore({ connectionTimeout: 20 }).core;
+      await addUsers(timed, "a", "b");
+      const timedRoom = await timed.createRoom("a", {
+        socketId: "b",
+        ...timed.getProfile("b"),
+      });
+      await timed.acknowledgeConnection("a");
+      await timed.acknowledgeConnection("b");
+
+      t.mock.timers.tick(20);
+      await flush();
+      assert.equal(
+        (await timed.getRoom(timedRoom.id)).state,
+        ROOM_STATES.CONNECTED
+      );
+      await timed.endRoom("a");
+    });
+  });
+
+  describe("skip cooldown", () => {
+    it("keeps a skipped pair apart until the cooldown passes", async (t) => {
+      mockClock(t);
+      ({ core } = createCore({ skipCooldown: 30 }));
+      await addUsers(core, "a", "b");
+      await core.recordSkip("a", "b");
+      await core.addToWaitingQueue("b");
+
+      assert.equal(await core.isSkipCoolingDown("b", "a"), true);
+      assert.equal(await core.getNextWaitingUser("a"), null);
+      assert.equal(await core.isWaiting("b"), true);
+
+      t.mock.timers.tick(29);
+      assert.equal(await core.getNextWaitingUser("a"), null);
+
+      t.mock.timers.tick(1);
+      assert.equal((await core.getNextWaitingUser("a")).socketId, "b");
+    });
+
+    it("still matches the skipper with someone else", async () => {
+      await core.recordSkip("a", "b");
+      await core.addToWaitingQueue("b");
+      await core.addToWaitingQueue("c");
+
+      assert.equal((await core.getNextWaitingUser("a")).socketId, "c");
+    });
+  });
+
+  describe("blocked pairs", () => {
+    it("never matches users who blocked each other", async () => {
+      await moderationStore.blockUser("uid-b", "uid-a");
+      await core.addToWaitingQueue("b");
+
+      assert.equal(await core.isBlockedPair("uid-a", "uid-b"), true);
+      assert.equal(await core.getNextWaitingUser("a"), null);
+      assert.equal(await core.isWaiting("b"), true);
+    });
+
+    it("matches the blocker with other users", async () => {
+      await moderationStore.blockUser("uid-a", "uid-b");
+      await core.addToWaitingQueue("b");
+      await core.addToWaitingQueue("c");
+
+      assert.equal((await core.getNextWaitingUser("a")).socketId, "c");
+    });
+
+    it("refuses an invite from a blocked user", async () => {
+      const { code } = await core.createInvite("a");
+      await moderationStore.blockUser("uid-a", "uid-b");
+
+      const { room, error } = await core.redeemInvite("b", code);
+      assert.equal(room, undefined);
+      assert.equal(error.code, "INVITE_NOT_FOUND");
+    });
+
+    it("treats users without a uid as unblocked", async () => {
+      assert.equal(await core.isBlockedPair(null, "uid-a"), false);
+      assert.equal(
+        await createCore({ moderationStore: null }).core.isBlockedPair(
+          "uid-a",
+          "uid-b"
+        ),
+        false
+      );
+    });
+  });
+
+  describe("preferences", () => {
+    it("ranks candidates by shared interests, then queue order", async () => {
+      core.setSearchPreferences("b", { interests: ["chess"] });
+      core.setSearchPreferences("c", { interests: ["Music", "art"] });
+      await core.addToWaitingQueue("b");
+      await core.addToWaitingQueue("c");
+      core.setSearchPreferences("a", { interests: ["music", "art"] });
+
+      assert.deepEqual(
+        (await core.rankCandidates("a")).map((entry) => entry.socketId),
+        ["c", "b"]
+      );
+      assert.equal((await core.getNextWaitingUser("a")).socketId, "c");
+    });
+
+    it("keeps hard filters until the search relaxes", async (t) => {
+      mockClock(t);
+      ({ core } = createCore({ matchRelaxAfter: 1000 }));
+      await addUsers(core, "a", "b");
+      core.setSearchPreferences("b", { language: "es" });
+      await core.addToWaitingQueue("b");
+      core.setSearchPreferences("a", {
+        language: "en",
+        filters: { language: true },
+      });
+
+      assert.deepEqual(await core.rankCandidates("a"), []);
+      assert.deepEqual(await core.getUnavailablePreferences("a"), ["language"]);
+
+      t.mock.timers.tick(1000);
+      assert.equal(core.hasRelaxedFilters("a"), true);
+      assert.equal((await core.getNextWaitingUser("a")).socketId, "b");
+    });
+
+    it("reports shared interests and unmet preferences for a room", async () => {
+      core.setSearchPreferences("a", { interests: ["music"], language: "en" });
+      core.setSearchPreferences("b", { interests: ["music"], language: "es" });
+      await core.addToWaitingQueue("b");
+      const room = await findMatch(core, "a");
+
+      assert.deepEqual(core.getMatchDetails(room), {
+        sharedInterests: ["music"],
+        unmetPreferences: { a: ["language"], b: ["language"] },
+      });
+    });
+  });
+
+  describe("queue status", () => {
+    it("reports position, queue length and time waited", async (t) => {
+      mockClock(t);
+      core.setSearchPreferences("a");
+      core.setSearchPreferences("b");
+      await core.addToWaitingQueue("a");
+      await core.addToWaitingQueue("b");
+
+      t.mock.timers.tick(5000);
+      assert.deepEqual(await core.getQueueStatus("b"), {
+        position: 2,
+        queueLength: 2,
+        estimatedWaitMs: null,
+        waitedMs: 5000,
+      });
+      assert.equal(await core.getQueueStatus("c"), null);
+    });
+
+    it("estimates the wait from recent matches", (t) => {
+      mockClock(t);
+      core.recordMatch();
+      t.mock.timers.tick(1000);
+      core.recordMatch();
+
+      assert.equal(core.estimateWaitMs(1), 500);
+      assert.equal(core.estimateWaitMs(4), 2000);
+
+      t.mock.timers.tick(5 * 60 * 1000);
+      assert.equal(core.estimateWaitMs(1), null);
+    });
+  });
+
+  describe("group rooms", () => {
+    it("opens a named room that others join by code", async () => {
+      const members = recordEvents(core, "room-members");
+      const { room } = await core.createGroupRoom("a", {
+        name: "  Study group ",
+        maxParticipants: 3,
+      });
+      assert.equal(room.code.length, 6);
+      assert.equal(room.name, "Study group");
+      assert.equal(room.maxParticipants, 3);
+
+      const { room: joined } = await core.joinGroupRoom(
+        "b",
+        room.code.toLowerCase()
+      );
+      assert.deepEqual(joined.participants, ["a", "b"]);
+      assert.equal(members.length, 1);
+      assert.equal(members[0].joined, "b");
+      assert.equal(await core.haveMet("uid-a", "uid-b"), true);
+    });
+
+    it("refuses members past the limit and unknown codes", async () => {
+      await addUsers(core, "d");
+      const { room } = await core.createGroupRoom("a", { maxParticipants: 3 });
+      await core.joinGroupRoom("b", room.code);
+      await core.joinGroupRoom("c", room.code);
+
+      const full = await core.joinGroupRoom("d", room.code);
+      assert.equal(full.error.code, "GROUP_ROOM_FULL");
+      const unknown = await core.joinGroupRoom("d", "NOPE42");
+      assert.equal(unknown.error.code, "GROUP_ROOM_NOT_FOUND");
+      const again = await core.createGroupRoom("a");
+      assert.equal(again.error.code, "ALREADY_IN_ROOM");
+    });
+
+    it("carries on as members leave and closes when the last one does", async () => {
+      const { room } = await core.createGroupRoom("a");
+      await core.joinGroupRoom("b", room.code);
+      const members = recordEvents(core, "room-members");
+
+      assert.equal(await core.leaveRoom("a"), null);
+      assert.deepEqual((await core.getRoom(room.id)).participants, ["b"]);
+      assert.equal(members[0].left, "a");
+
+      await core.leaveRoom("b");
+      assert.equal(await core.getRoom(room.id), null);
+    });
+  });
+
+  describe("invites", () => {
+    it("pairs whoever redeems the code with its creator, once", async () => {
+      const { code } = await core.createInvite("a");
+      assert.equal(code.length, 8);
+
+      const { room, creatorId } = await core.redeemInvite(
+        "b",
+        code.toLowerCase()
+      );
+      assert.equal(creatorId, "a");
+      assert.equal(room.via, "invite");
+      assert.deepEqual(room.participants, ["b", "a"]);
+      assert.equal(core.getUser("a").inviteCode, null);
+
+      const { error } = await core.redeemInvite("c", code);
+      assert.equal(error.code, "INVITE_NOT_FOUND");
+    });
+
+    it("refuses the creator's own code and keeps it for others", async () => {
+      const { code } = await core.createInvite("a");
+      assert.equal(
+        (await core.redeemInvite("a", code)).error.code,
+        "OWN_INVITE"
+      );
+      assert.ok((await core.redeemInvite("b", code)).room);
+    });
+
+    it("keeps the code usable while the creator is busy", async () => {
+      const { code } = await core.createInvite("a");
+      await core.createRoom("a", { socketId: "c", ...core.getProfile("c") });
+
+      const busy = await core.redeemInvite("b", code);
+      assert.equal(busy.error.code, "INVITE_CREATOR_BUSY");
+
+      await core.endRoom("a");
+      assert.ok((await core.redeemInvite("b", code)).room);
+    });
+
+    it("ends the code when cancelled or expired", async (t) => {
+      mockClock(t);
+      const cancelled = await core.createInvite("a");
+      assert.equal(await core.cancelInvite("a"), true);
+      assert.equal(
+        (await core.redeemInvite("b", cancelled.code)).error.code,
+        "INVITE_NOT_FOUND"
+      );
+
+      const expiring = await core.createInvite("a", { expiresInMs: 60000 });
+      t.mock.timers.tick(60000);
+      assert.equal(
+        (await core.redeemInvite("b", expiring.code)).error.code,
+        "INVITE_NOT_FOUND"
+      );
+    });
+  });
+
+  describe("reconnection", () => {
+    let room;
+    let tokens;
+
+    beforeEach(async () => {
+      room = await core.createRoom("a", {
+        socketId: "b",
+        ...core.getProfile("b"),
+      });
+      tokens = await core.issueResumeTokens(room);
+      await core.addMessage("a", { id: "m1", text: "hi" });
+      await core.addMessage("b", { id: "m2", text: "hello" });
+      await core.holdRoom("a");
+      await core.addMessage("b", { id: "m3", text: "still there?" });
+      await core.addUser("a2", { uid: "uid-a" });
+    });
+
+    it("moves the seat to the new socket with the messages it missed", async () => {
+      const resumed = await core.resumeSession("a2", tokens.a, "m2");
+
+      assert.equal(resumed.previousSocketId, "a");
+      assert.equal(resumed.partnerId, "b");
+      assert.deepEqual(resumed.room.participants, ["a2", "b"]);
+      assert.deepEqual(
+        resumed.missedMessages.map((message) => message.id),
+        ["m3"]
+      );
+      assert.notEqual(resumed.resumeToken, tokens.a);
+      assert.equal(await core.getPartnerId("b"), "a2");
+    });
+
+    it("accepts each token once and only from the same user", async () => {
+      await core.addUser("x", { uid: "uid-x" });
+      assert.equal(await core.resumeSession("x", tokens.a), null);
+
+      assert.ok(await core.resumeSession("a2", tokens.a));
+      await core.addUser("a3", { uid: "uid-a" });
+      assert.equal(await core.resumeSession("a3", tokens.a), null);
+    });
+  });
+
+  describe("media state", () => {
+    let room;
+
+    beforeEach(async () => {
+      room = await core.createRoom("a", {
+        socketId: "b",
+        ...core.getProfile("b"),
+      });
+    });
+
+    it("merges known fields and shares them with the room", async () => {
+      const result = await core.setMediaState("a", {
+        audioMuted: true,
+        volume: 3,
+      });
+      assert.equal(result.roomId, room.id);
+      assert.deepEqual(result.peerIds, ["b"]);
+      assert.equal(result.state.audioMuted, true);
+      assert.equal(result.state.videoOff, false);
+      assert.equal("volume" in result.state, false);
+
+      const states = await core.getMediaStates(room);
+      assert.equal(states.a.audioMuted, true);
+      assert.deepEqual(states.b, {
+        audioMuted: false,
+        videoOff: false,
+        screenSharing: false,
+        updatedAt: null,
+      });
+    });
+
+    it("rejects patches without known fields and sockets without a room", async () => {
+      assert.equal(
+        (await core.setMediaState("a", { volume: 3 })).error.code,
+        "MEDIA_STATE_INVALID"
+      );
+      assert.equal(
+        (await core.setMediaState("c", { audioMuted: true })).error.code,
+        "NO_ACTIVE_ROOM"
+      );
+    });
+  });
+
+  describe("friend calls", () => {
+    it("pairs the friend who answers with the caller", async () => {
+      const call = await core.ringFriend("a", "uid-b", ["b"]);
+      const { room } = await core.answerFriendCall("b", call.callId);
+
+      assert.equal(room.via, "friend");
+      assert.deepEqual(room.participants, ["b", "a"]);
+      assert.equal(await core.getFriendCall(call.callId), null);
+    });
+
+    it("only rings the friend's listed sockets", async () => {
+      await core.addUser("b2", { uid: "uid-b" });
+      const call = await core.ringFriend("a", "uid-b", ["b"]);
+
+      for (const socketId of ["c", "b2"]) {
+        const { error } = await core.answerFriendCall(socketId, call.callId);
+        assert.equal(error.code, "CALL_NOT_FOUND");
+      }
+      assert.equal(await core.endFriendCall("uid-c", call.callId), null);
+    });
+
+    it("lets only the first of answering or ending win", async () => {
+      const call = await core.ringFriend("a", "uid-b", ["b"]);
+
+      assert.equal(
+        (await core.endFriendCall("uid-b", call.callId)).callId,
+        call.callId
+      );
+      assert.equal(await core.endFriendCall("uid-a", call.callId), null);
+      const { error } = await core.answerFriendCall("b", call.callId);
+      assert.equal(error.code, "CALL_NOT_FOUND");
+    });
+
+    it("stops ringing after the call ttl but can still be ended", async (t) => {
+      mockClock(t);
+      ({ core } = createCore({ friendCallTtl: 1000 }));
+      await addUsers(core, "a", "b");
+      const call = await core.ringFriend("a", "uid-b", ["b"]);
+
+      t.mock.timers.tick(1000);
+      const { error } = await core.answerFriendCall("b", call.callId);
+      assert.equal(error.code, "CALL_NOT_FOUND");
+      assert.ok(await core.endFriendCall("uid-a", call.callId));
+    });
+
+    it("ends the call when the caller is busy by the time it is answered", async () => {
+      const call = await core.ringFriend("a", "uid-b", ["b"]);
+      await core.createRoom("a", { socketId: "c", ...core.getProfile("c") });
+
+      const answered = await core.answerFriendCall("b", call.callId);
+      assert.equal(answered.error.code, "FRIEND_BUSY");
+      assert.equal(answered.call.callId, call.callId);
+      assert.equal(await core.getFriendCall(call.callId), null);
+    });
+  });
+
+  describe("history consent", () => {
+    let historyStore;
+
+    beforeEach(async () => {
+      // Records what the core writes, like the file and Firestore stores
+      historyStore = {
+        saved: [],
+        appended: [],
+        ended: [],
+        async saveConversation(conversation) {
+          this.saved.push(conversation);
+        },
+        async appendMessage(conversationId, message) {
+          this.appended.push({ conversationId, message });
+        },
+        async endConversation(conversationId, ending) {
+          this.ended.push({ conversationId, ...ending });
+        },
+      };
+      ({ core } = createCore({ historyStore }));
+      await addUsers(core, "a", "b");
+      await findMatch(core, "a");
+      await findMatch(core, "b");
+    });
+
+    it("saves the conversation once every participant agrees", async () => {
+      const first = await core.setKeepConversation("a", true);
+      assert.equal(first.saved, false);
+      assert.deepEqual(first.consents, ["a"]);
+
+      const second = await core.setKeepConversation("b", true);
+      assert.equal(second.saved, true);
+      assert.equal(historyStore.saved.length, 1);
+      assert.deepEqual(historyStore.saved[0].participantUids.sort(), [
+        "uid-a",
+        "uid-b",
+      ]);
+    });
+
+    it("clears the saved flag when the write fails so a retry saves", async () => {
+      const save = historyStore.saveConversation;
+      historyStore.saveConversation = async () => {
+        throw new Error("unavailable");
+      };
+      await core.setKeepConversation("a", true);
+      const failed = await core.setKeepConversation("b", true);
+      assert.equal(failed.saved, false);
+      assert.equal((await core.getRoomBySocket("a")).historySavedAt, null);
+
+      historyStore.saveConversation = save;
+      const retried = await core.setKeepConversation("a", true);
+      assert.equal(retried.saved, true);
+      assert.equal(historyStore.saved.length, 1);
+    });
+
+    it("names senders by uid and keeps appending after the save", async () => {
+      await core.addMessage("a", { id: "m1", text: "before" });
+      await core.setKeepConversation("a", true);
+      const { room } = await core.setKeepConversation("b", true);
+      await core.addMessage("b", { id: "m2", text: "after" });
+      await core.endRoom("a", "partner-left");
+
+      assert.deepEqual(
+        historyStore.saved[0].messages.map(({ id, fromUid }) => [id, fromUid]),
+        [["m1", "uid-a"]]
+      );
+      assert.deepEqual(historyStore.appended, [
+        {
+          conversationId: room.id,
+          message: {
+            id: "m2",
+            text: "after",
+            timestamp: historyStore.appended[0].message.timestamp,
+            fromUid: "uid-b",
+          },
+        },
+      ]);
+      assert.equal(historyStore.ended[0].endReason, "partner-left");
+    });
+
+    it("saves nothing until both agree or without a history store", async () => {
+      await core.setKeepConversation("a", true);
+      await core.endRoom("a");
+      assert.deepEqual(historyStore.saved, []);
+      assert.deepEqual(historyStore.ended, []);
+
+      const plain = createCore().core;
+      await addUsers(plain, "a", "b");
+      await findMatch(plain, "a");
+      await findMatch(plain, "b");
+      assert.equal(await plain.setKeepConversation("a", true), null);
+    });
+  });
+});